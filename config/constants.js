@@ -7,18 +7,90 @@ Required JSON:
   "lastName": "Last name from document", 
   "streetAddress": "Street + house number + postal code + city",
   "dateOfBirth": "DD.MM.YYYY",
-  "nationality": "Nationality",
+  "nationality": "Nationality as ISO 3166-1 alpha-2 code (e.g. CH, DE)",
   "workPermitDate": "Work Permit expiration (DD.MM.YYYY)",
-  "workPermitType": "Type of permit"
+  "workPermitType": "Permit category: B, C, L, G, Ci, F, N or S"
 }`;
 
+// Classification labels and the document type (config/documentSchemas.js) each one is extracted with
+export const DOCUMENT_CLASSES = {
+    permit_b: 'swiss_permit',
+    permit_c: 'swiss_permit',
+    permit_l: 'swiss_permit',
+    permit_g: 'swiss_permit',
+    // Swiss permit of unknown category (e.g. read from the MRZ only)
+    permit: 'swiss_permit',
+    passport: 'passport',
+    id_card: 'id_card',
+    payslip: 'payslip',
+    rental_contract: 'rental_contract',
+    unrelated: null
+};
+
+export const CLASSIFICATION_PROMPT = `Classify this document. Output ONLY valid JSON without markdown.
+
+Allowed documentClass values:
+- permit_b, permit_c, permit_l, permit_g: Swiss residence/work permit of that category
+- permit: Swiss residence/work permit whose category is not visible
+- passport: passport data page
+- id_card: national identity card
+- payslip: payslip or salary statement
+- rental_contract: residential rental contract
+- unrelated: anything else
+
+Required JSON:
+{
+  "documentClass": "One of the allowed values",
+  "confidence": "Number between 0 and 1",
+  "reason": "One short sentence explaining the decision"
+}`;
+
+export const PAGES_INSTRUCTION = `The document may be spread over several numbered sources (images or PDFs) and pages, e.g. the front and back side of a permit. Return a "pages" array with one entry per page of every source: "source" is the source number, "page" the 1-based page within that source, "relevant" is false for pages that do not belong to the document, and the fields hold only what is visible on that page (null otherwise).`;
+
+export const FIELD_CONFIDENCE_INSTRUCTION = `For every page also return "fieldConfidence": an object with a number between 0 and 1 for every field above, reflecting how certain you are that the value was read correctly from that page. Use 0 for null fields.`;
+
+export const REVIEW_STATUS = {
+    PENDING: 'pending_review',
+    AUTO_APPROVED: 'auto_approved',
+    REVIEWED: 'reviewed',
+    // Held back by contact reconciliation; a reviewer can still release it
+    BLOCKED: 'blocked_identity_mismatch'
+};
+
+export const RECONCILIATION_STATUS = {
+    MATCH: 'match',
+    MISMATCH: 'mismatch',
+    DIFFERENT_PERSON: 'different_person',
+    UNVERIFIABLE: 'unverifiable'
+};
+
 export const SUPPORTED_IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp"];
 export const SUPPORTED_DOCUMENT_EXTENSIONS = [".pdf"];
 
+export const JOB_TYPES = {
+    HUBSPOT_WEBHOOK: 'hubspot.webhook'
+};
+
+export const JOB_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    DEAD: 'dead'
+};
+
 export const ERROR_MESSAGES = {
     MISSING_ENV: '❌ Missing required environment variables',
     INVALID_WEBHOOK: 'Invalid webhook data received',
+    INVALID_WEBHOOK_SIGNATURE: 'Invalid webhook signature',
     UNSUPPORTED_FILE_TYPE: 'Unsupported file type',
+    UNKNOWN_DOCUMENT_TYPE: 'Unknown document type',
+    DOCUMENT_REJECTED: 'Document rejected before extraction',
+    VALIDATION_FAILED: 'Extracted data failed validation',
+    IDENTITY_MISMATCH: 'Document appears to belong to a different person than the contact',
+    UNKNOWN_ANALYSIS_BACKEND: 'Unknown analysis backend',
+    ANALYSIS_BACKEND_NOT_CONFIGURED: 'Analysis backend is not in ANALYSIS_BACKEND or ANALYSIS_FALLBACKS',
+    MRZ_NOT_FOUND: 'No machine-readable zone found in document',
+    LLM_OUTPUT_TRUNCATED: 'Model response was cut off at the output token limit',
     FILE_PROCESSING_FAILED: 'File processing failed'
 };
 
@@ -0,0 +1,113 @@
+// config/documentSchemas.js
+import { ANALYSIS_PROMPT } from './constants.js';
+
+const text = (description) => ({ type: ['string', 'null'], description });
+
+// Strict structured-output schemas need every key listed as required
+const objectSchema = (properties) => ({
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+});
+
+const promptFor = (documentDescription, schema) => `Extract structured data from ${documentDescription}. Output ONLY valid JSON without markdown. Use null for missing fields.
+
+Required JSON:
+${JSON.stringify(Object.fromEntries(
+    Object.entries(schema.properties).map(([key, value]) => [key, value.description])
+), null, 2)}`;
+
+const swissPermitSchema = objectSchema({
+    firstName: text('First name from document'),
+    lastName: text('Last name from document'),
+    streetAddress: text('Street + house number + postal code + city'),
+    dateOfBirth: text('DD.MM.YYYY'),
+    nationality: text('Nationality as ISO 3166-1 alpha-2 code (e.g. CH, DE)'),
+    workPermitDate: text('Work Permit expiration (DD.MM.YYYY)'),
+    workPermitType: text('Permit category: B, C, L, G, Ci, F, N or S')
+});
+
+const passportSchema = objectSchema({
+    firstName: text('Given names from document'),
+    lastName: text('Surname from document'),
+    dateOfBirth: text('DD.MM.YYYY'),
+    nationality: text('Nationality as ISO 3166-1 alpha-2 code (e.g. CH, DE)'),
+    documentNumber: text('Passport number'),
+    issuingCountry: text('Issuing country as ISO 3166-1 alpha-2 code'),
+    expiryDate: text('Expiry date (DD.MM.YYYY)')
+});
+
+const idCardSchema = objectSchema({
+    firstName: text('Given names from document'),
+    lastName: text('Surname from document'),
+    dateOfBirth: text('DD.MM.YYYY'),
+    nationality: text('Nationality as ISO 3166-1 alpha-2 code (e.g. CH, DE)'),
+    documentNumber: text('Identity card number'),
+    issuingCountry: text('Issuing country as ISO 3166-1 alpha-2 code'),
+    expiryDate: text('Expiry date (DD.MM.YYYY)')
+});
+
+const payslipSchema = objectSchema({
+    firstName: text('Employee first name'),
+    lastName: text('Employee last name'),
+    streetAddress: text('Employee street + house number + postal code + city'),
+    employer: text('Employer name'),
+    payPeriod: text('Pay period (MM.YYYY)'),
+    grossSalary: text('Gross salary as number with currency, e.g. "6500.00 CHF"'),
+    netSalary: text('Net salary as number with currency, e.g. "5400.00 CHF"')
+});
+
+const rentalContractSchema = objectSchema({
+    firstName: text('Tenant first name'),
+    lastName: text('Tenant last name'),
+    streetAddress: text('Rented property: street + house number + postal code + city'),
+    landlord: text('Landlord or property management name'),
+    monthlyRent: text('Monthly rent incl. charges as number with currency, e.g. "1850.00 CHF"'),
+    leaseStartDate: text('Lease start date (DD.MM.YYYY)')
+});
+
+// Each document type declares its prompt, output JSON Schema, the format of fields that
+// services/validation.js normalizes (date, country, permitType) and the fields without which
+// a record goes to human review. expiryField (optional) names the date the permit expiry
+// scheduler tracks. Which HubSpot properties the fields are written to is configured in
+// config/hubspotMapping.json.
+export const DOCUMENT_SCHEMAS = {
+    swiss_permit: {
+        label: 'Swiss residence/work permit',
+        prompt: ANALYSIS_PROMPT,
+        schema: swissPermitSchema,
+        fieldFormats: { dateOfBirth: 'date', nationality: 'country', workPermitDate: 'date', workPermitType: 'permitType' },
+        requiredFields: ['firstName', 'lastName', 'dateOfBirth', 'workPermitDate', 'workPermitType'],
+        expiryField: 'workPermitDate'
+    },
+    passport: {
+        label: 'Passport',
+        prompt: promptFor('passports (data page)', passportSchema),
+        schema: passportSchema,
+        fieldFormats: { dateOfBirth: 'date', nationality: 'country', issuingCountry: 'country', expiryDate: 'date' },
+        requiredFields: ['firstName', 'lastName', 'dateOfBirth', 'documentNumber', 'expiryDate']
+    },
+    id_card: {
+        label: 'Identity card',
+        prompt: promptFor('national identity cards (front and back)', idCardSchema),
+        schema: idCardSchema,
+        fieldFormats: { dateOfBirth: 'date', nationality: 'country', issuingCountry: 'country', expiryDate: 'date' },
+        requiredFields: ['firstName', 'lastName', 'dateOfBirth', 'documentNumber', 'expiryDate']
+    },
+    payslip: {
+        label: 'Payslip',
+        prompt: promptFor('payslips / salary statements', payslipSchema),
+        schema: payslipSchema,
+        requiredFields: ['firstName', 'lastName', 'employer', 'payPeriod', 'grossSalary']
+    },
+    rental_contract: {
+        label: 'Rental contract',
+        prompt: promptFor('residential rental contracts', rentalContractSchema),
+        schema: rentalContractSchema,
+        fieldFormats: { leaseStartDate: 'date' },
+        requiredFields: ['lastName', 'streetAddress', 'monthlyRent']
+    }
+};
+
+export default DOCUMENT_SCHEMAS;
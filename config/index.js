@@ -1,8 +1,14 @@
 // config/index.js
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
 
 dotenv.config();
 
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
 // Environment
 export const NODE_ENV = process.env.NODE_ENV || 'development';
 export const PORT = process.env.PORT || 3000;
@@ -25,42 +31,326 @@ export const EMAIL_CONFIG = {
     sandboxSendUrl: "https://sandbox.api.mailtrap.io/api/send",
     apiToken: process.env.MAILTRAP_API_TOKEN,
     inboxId: process.env.MAILTRAP_INBOX_ID,
-    sendFrom: process.env.EMAIL_FROM
+    sendFrom: process.env.EMAIL_FROM,
+    // 'smtp', 'mailtrap-live', 'mailtrap-sandbox', 'file' (.eml files in captureDir) or
+    // 'capture' (kept in memory, for local end-to-end runs); see services/emailTransports.js
+    transport: process.env.EMAIL_TRANSPORT || 'mailtrap-sandbox',
+    // Defaults to <DATA_DIR>/emails
+    captureDir: process.env.EMAIL_CAPTURE_DIR,
+    // Replaces languages of the templates in templates/email (same file names)
+    templatesDir: process.env.EMAIL_TEMPLATES_DIR,
+    defaultLanguage: process.env.EMAIL_DEFAULT_LANGUAGE || 'en',
+    // Contact property with the language of contact recipients (de, fr, it, en; "de-ch" counts as de)
+    languageProperty: process.env.EMAIL_LANGUAGE_PROPERTY || 'hs_language',
+    // Recipients per template: "contact.owner", "deal.owner", "contact.<property>", "deal.<property>",
+    // an address, or "default" (sendTo, or PERMIT_REMINDER_EMAIL_TO for reminders). The default
+    // address is also used when none of the rules yields one.
+    recipients: {
+        service_documents: parseList(process.env.EMAIL_RECIPIENTS_SERVICE_DOCUMENTS ?? 'deal.owner'),
+        permit_reminder: parseList(process.env.EMAIL_RECIPIENTS_PERMIT_REMINDER ?? 'contact.owner')
+    },
+    // Sent emails (with their bodies, for retries) are kept this long in <DATA_DIR>/email-history.json
+    historyRetentionMs: (parseInt(process.env.EMAIL_HISTORY_DAYS) || 90) * 24 * 60 * 60 * 1000,
+    // Pause between the emails of one send; defaults to the transport's (1s for Mailtrap). Every
+    // pause adds to the request, so keep it well below the function's time limit on Vercel
+    minIntervalMs: process.env.EMAIL_MIN_INTERVAL_MS ? parseInt(process.env.EMAIL_MIN_INTERVAL_MS) : null,
+    // Attachments over maxEmailBytes or maxFiles per email: 'zip' bundles them into ZIP files
+    // (always with a zipPassword), 'attach' sends them as they are. What still does not fit goes
+    // as download links (DOWNLOAD_LINK_CONFIG) or, without them, in further emails.
+    attachments: {
+        mode: process.env.EMAIL_ATTACHMENT_MODE || 'zip',
+        maxEmailBytes: (parseFloat(process.env.EMAIL_MAX_ATTACHMENT_MB) || 3) * 1024 * 1024,
+        maxFiles: parseInt(process.env.EMAIL_MAX_ATTACHMENTS) || 10,
+        zipName: process.env.EMAIL_ZIP_NAME || 'documents.zip',
+        // Send the password to recipients another way; it is never part of the email
+        zipPassword: process.env.EMAIL_ZIP_PASSWORD || null
+    }
+};
+
+// Which of a deal's service records go into the emailed document bundle: 'sendAttachment'
+// (send_attachment is "Yes") or 'all'; see services/documentBundle.js
+export const DOCUMENT_BUNDLE_CONFIG = {
+    selectionRule: process.env.DOCUMENT_BUNDLE_RULE || 'sendAttachment'
+};
+
+// Signed, expiring links to HubSpot files (GET /api/downloads/:token). Enabled when both
+// secret and publicUrl are set; changing the secret revokes every link sent so far.
+export const DOWNLOAD_LINK_CONFIG = {
+    secret: process.env.DOWNLOAD_LINK_SECRET,
+    // Base URL of this app as recipients reach it
+    publicUrl: (process.env.APP_PUBLIC_URL || '').replace(/\/+$/, ''),
+    ttlMs: (parseInt(process.env.DOWNLOAD_LINK_TTL_HOURS) || 72) * 60 * 60 * 1000
+};
+
+const readMappingFile = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`❌ Could not load HubSpot mapping ${file}: ${error.message}`);
+    }
+};
+
+// HubSpot Property Mapping: object type ids, the properties this app reads and writes, and
+// which property each extracted field goes to per document and object type, plus what
+// `npm run hubspot:setup` creates. A portal file (HUBSPOT_MAPPING_FILE) is layered over
+// config/hubspotMapping.json: object types, properties and setup key by key, documents per
+// document type. Validated at startup by services/propertyMapping.js.
+const loadHubSpotMapping = () => {
+    const mapping = readMappingFile(fileURLToPath(new URL('./hubspotMapping.json', import.meta.url)));
+    if (!process.env.HUBSPOT_MAPPING_FILE) return { file: null, ...mapping };
+
+    const file = path.resolve(process.env.HUBSPOT_MAPPING_FILE);
+    const portal = readMappingFile(file);
+    return {
+        file,
+        objectTypes: { ...mapping.objectTypes, ...portal.objectTypes },
+        properties: { ...mapping.properties, ...portal.properties },
+        setup: { ...mapping.setup, ...portal.setup },
+        documents: { ...mapping.documents, ...portal.documents }
+    };
 };
 
+export const HUBSPOT_MAPPING = loadHubSpotMapping();
+
 // HubSpot Configuration
 export const HUBSPOT_CONFIG = {
+    // API paths, relative to HUBSPOT_API_CONFIG.baseUrl
     urls: {
-        association: "https://api.hubapi.com/crm/v4/objects",
-        object: "https://api.hubapi.com/crm/v3/objects",
-        file: "https://api.hubapi.com/files/v3/files"
+        association: "/crm/v4/objects",
+        object: "/crm/v3/objects",
+        file: "/files/v3/files",
+        timeline: "/crm/v3/timeline/events",
+        owner: "/crm/v3/owners"
     },
-    properties: {
-        errorLog: "extracted_data_error_log",
-        extractedData: "extracted_data",
-        fileId: "file_id",
-        sendAttachment: "send_attachment",
-        webhookProperty: "test_webhook",
-    },
-    objectTypes: {
-        contact: "0-1",
-        deal: "0-3",
-        ticket: "0-5",
-        company: "0-2",
-        service: "2-52156116"
+    // permitExpiryReminder is set on the contact: threshold of the latest reminder, e.g. "30"
+    properties: HUBSPOT_MAPPING.properties,
+    objectTypes: HUBSPOT_MAPPING.objectTypes,
+    associationTypes: {
+        taskToContact: 204
     }
 };
 
-// OpenAI Configuration
+// HubSpot API Configuration (private apps: 100 requests per 10 seconds, 190 on Pro/Enterprise)
+export const HUBSPOT_API_CONFIG = {
+    // Point at a mock server for local testing
+    baseUrl: (process.env.HUBSPOT_API_BASE_URL || 'https://api.hubapi.com').replace(/\/+$/, ''),
+    burstLimit: parseInt(process.env.HUBSPOT_BURST_LIMIT) || 100,
+    burstWindowMs: 10 * 1000,
+    // Retries of 429 responses (and of 5xx responses to idempotent requests) before the error reaches the caller
+    maxRetries: parseInt(process.env.HUBSPOT_MAX_RETRIES) || 5,
+    // Per attempt, so a hanging connection cannot outlast the function
+    timeoutMs: parseInt(process.env.HUBSPOT_TIMEOUT_MS) || 30000
+};
+
+// HubSpot Webhook Configuration
+export const HUBSPOT_WEBHOOK_CONFIG = {
+    clientSecret: process.env.HUBSPOT_CLIENT_SECRET,
+    // Public URL HubSpot calls; needed when a proxy rewrites host or protocol
+    publicUrl: process.env.HUBSPOT_WEBHOOK_URL,
+    maxTimestampAgeMs: parseInt(process.env.HUBSPOT_WEBHOOK_MAX_AGE_MS) || 5 * 60 * 1000,
+    // How many events of one batch are processed at the same time
+    eventConcurrency: parseInt(process.env.HUBSPOT_WEBHOOK_CONCURRENCY) || 3
+};
+
+// Storage Configuration (point DATA_DIR at a persistent volume in production). The default
+// under the OS temp dir is per instance and, on serverless platforms, gone with the instance.
+export const STORAGE_CONFIG = {
+    dataDir: process.env.DATA_DIR || path.join(tmpdir(), 'doc-data-execution'),
+    persistent: Boolean(process.env.DATA_DIR)
+};
+
+// Secrets accepted as "Authorization: Bearer <secret>" by the cron and admin routes. Vercel cron
+// sends CRON_SECRET; without any secret these routes answer 503.
+export const API_AUTH_CONFIG = {
+    secrets: [process.env.CRON_SECRET].filter(Boolean)
+};
+
+// Job Queue Configuration
+export const JOB_QUEUE_CONFIG = {
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+    // Process each webhook before answering it, and answer 500 when it fails so HubSpot delivers
+    // it again. The default wherever a queued job would not outlive the instance (no DATA_DIR).
+    processInline: process.env.JOB_PROCESS_INLINE
+        ? process.env.JOB_PROCESS_INLINE === 'true'
+        : !STORAGE_CONFIG.persistent,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+    backoffBaseMs: 5000,
+    backoffMaxMs: 10 * 60 * 1000,
+    // Jobs left in "processing" this long are assumed to belong to a crashed worker
+    staleAfterMs: 15 * 60 * 1000,
+    // Completed and dead jobs (payload included) are removed this long after their last update
+    retentionMs: (parseInt(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000
+};
+
+// Idempotency Ledger Configuration
+export const IDEMPOTENCY_CONFIG = {
+    retentionMs: (parseInt(process.env.IDEMPOTENCY_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    // A claim older than this is treated as abandoned by a crashed run
+    processingTimeoutMs: 15 * 60 * 1000
+};
+
+// Output token limit of every LLM call. Extraction returns all fields plus their confidence for
+// each page, so multi-page documents need far more than a single page; a response cut off at
+// the limit fails the analysis with a clear error instead of half a JSON document.
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS) || 4096;
+
+// OpenAI Configuration (OPENAI_BASE_URL is honoured by the SDK itself)
 export const OPENAI_CONFIG = {
-    model: "gpt-4o-mini",
-    maxTokens: 1000,
-    analysisPrompt: `Extract structured data from Swiss residence/work permit documents. Output ONLY valid JSON without markdown. Use null for missing fields.`
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    maxTokens: LLM_MAX_TOKENS
+};
+
+// Azure OpenAI Configuration; model is the deployment name
+export const AZURE_OPENAI_CONFIG = {
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+    maxTokens: LLM_MAX_TOKENS
+};
+
+// Local OpenAI-compatible endpoint (Ollama, vLLM, ...). Documents are sent inline and PDFs
+// as rendered page images, so nothing leaves our infrastructure.
+export const LOCAL_LLM_CONFIG = {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    model: process.env.LOCAL_LLM_MODEL,
+    maxTokens: LLM_MAX_TOKENS,
+    // Servers without JSON-schema constrained decoding get json_object mode plus the schema in the prompt
+    structuredOutputs: process.env.LOCAL_LLM_STRUCTURED_OUTPUTS !== 'false',
+    maxPdfPages: parseInt(process.env.LOCAL_LLM_MAX_PDF_PAGES) || 10,
+    pdfScale: 2
+};
+
+// Document Configuration (types are defined in config/documentSchemas.js)
+export const DOCUMENT_CONFIG = {
+    defaultDocType: process.env.DEFAULT_DOC_TYPE || 'swiss_permit',
+    // Without classification every upload without an explicit docType uses defaultDocType
+    classificationEnabled: process.env.DOCUMENT_CLASSIFICATION_ENABLED !== 'false',
+    minClassificationConfidence: parseFloat(process.env.MIN_CLASSIFICATION_CONFIDENCE) || 0.6
+};
+
+// Analysis Backend Configuration
+export const ANALYSIS_CONFIG = {
+    // An LLM provider ('openai', 'azure', 'local'), 'mrz' (local OCR of the machine-readable zone)
+    // or 'stub' (canned results from stubFixtures, for local end-to-end runs; see stubEnabled)
+    backend: process.env.ANALYSIS_BACKEND || 'openai',
+    // Tried in order while the previous backend is unreachable, rate limited or rejects its key.
+    // Data-residency deployments keep cloud providers out of the chain, e.g. "local,mrz".
+    fallbacks: parseList(process.env.ANALYSIS_FALLBACKS ?? 'mrz'),
+    // The stub answers every document with a fixture, so it is only accepted when asked for explicitly
+    stubEnabled: process.env.ANALYSIS_STUB_ENABLED === 'true' || process.env.NODE_ENV === 'test',
+    stubFixtures: process.env.ANALYSIS_STUB_FIXTURES || fileURLToPath(new URL('../mocks/fixtures/analysis.json', import.meta.url))
+};
+
+// Local OCR Configuration
+export const OCR_CONFIG = {
+    // Directory or URL with <lang>.traineddata(.gz); defaults to the bundled @tesseract.js-data/eng
+    langPath: process.env.OCR_LANG_PATH || undefined,
+    cachePath: path.join(STORAGE_CONFIG.dataDir, 'ocr'),
+    maxPdfPages: parseInt(process.env.OCR_MAX_PDF_PAGES) || 5,
+    pdfScale: parseFloat(process.env.OCR_PDF_SCALE) || 3
+};
+
+// Artifact Lifecycle Configuration (document copies uploaded to providers or kept in temp files)
+export const ARTIFACT_CONFIG = {
+    // Anything older than this is an orphan; extraction and emailing take seconds
+    ttlMs: (parseInt(process.env.ARTIFACT_TTL_MINUTES) || 60) * 60 * 1000,
+    sweepEnabled: process.env.ARTIFACT_SWEEP_ENABLED !== 'false',
+    sweepIntervalMs: (parseInt(process.env.ARTIFACT_SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000,
+    deletionLogRetentionMs: (parseInt(process.env.ARTIFACT_DELETION_LOG_DAYS) || 365) * 24 * 60 * 60 * 1000
+};
+
+// Contact Reconciliation Configuration
+export const RECONCILIATION_CONFIG = {
+    enabled: process.env.RECONCILIATION_ENABLED !== 'false',
+    // Keep extracted data out of HubSpot (and send it to review) when it looks like someone else's document
+    blockOnMismatch: process.env.RECONCILIATION_BLOCK_ON_MISMATCH === 'true',
+    matchThreshold: 0.85,
+    partialThreshold: 0.6,
+    // Contact properties compared with the extracted fields
+    contactProperties: {
+        firstName: 'firstname',
+        lastName: 'lastname',
+        dateOfBirth: process.env.CONTACT_DOB_PROPERTY || 'date_of_birth',
+        address: 'address',
+        zip: 'zip',
+        city: 'city'
+    }
+};
+
+// Permit Expiry Reminder Configuration
+export const PERMIT_REMINDER_CONFIG = {
+    // Days before expiry at which a reminder goes out, e.g. "90,30,7"
+    reminderDays: (process.env.PERMIT_REMINDER_DAYS || '90,30,7').split(',').map(Number).filter(Boolean).sort((a, b) => b - a),
+    // Any of: email, task, property
+    actions: (process.env.PERMIT_REMINDER_ACTIONS || 'email,task,property').split(',').map(action => action.trim()),
+    emailTo: process.env.PERMIT_REMINDER_EMAIL_TO || process.env.EMAIL_SEND_TO,
+    // In-process schedule; on Vercel call GET /api/cron/permit-reminders instead
+    schedulerEnabled: process.env.PERMIT_SCHEDULER_ENABLED !== 'false',
+    intervalMs: (parseInt(process.env.PERMIT_SCHEDULER_INTERVAL_HOURS) || 24) * 60 * 60 * 1000
+};
+
+// Audit trail of every analysis on the record: 'off', 'note' (a note associated with the record,
+// its contact and deals) or 'timeline' (an event from an app's timeline template on the contact)
+export const AUDIT_TRAIL_CONFIG = {
+    mode: process.env.HUBSPOT_AUDIT_TRAIL || 'off',
+    // Template of a public app; its events need that app's OAuth token as HUBSPOT_ACCESS_TOKEN
+    timelineEventTemplateId: process.env.HUBSPOT_TIMELINE_EVENT_TEMPLATE_ID,
+    // Attach the analyzed files to the note
+    attachFiles: process.env.HUBSPOT_AUDIT_ATTACH_FILES !== 'false'
+};
+
+// Human Review Configuration
+export const REVIEW_CONFIG = {
+    // Extracted (non-null) fields below this confidence send the record to review
+    minFieldConfidence: parseFloat(process.env.REVIEW_MIN_FIELD_CONFIDENCE) || 0.8
 };
 
 // Validation
+const AUDIT_TRAIL_MODES = ['off', 'note', 'timeline'];
+const EMAIL_ATTACHMENT_MODES = ['zip', 'attach'];
+
+// Settings each analysis backend needs before it can be part of the chain
+const BACKEND_REQUIREMENTS = {
+    openai: () => [OPENAI_API_KEY],
+    azure: () => [AZURE_OPENAI_CONFIG.endpoint, AZURE_OPENAI_CONFIG.apiKey, AZURE_OPENAI_CONFIG.deployment],
+    local: () => [LOCAL_LLM_CONFIG.model],
+    mrz: () => [],
+    stub: () => []
+};
+
 export const validateConfig = () => {
-    const required = [OPENAI_API_KEY, HUBSPOT_ACCESS_TOKEN];
+    const backends = [ANALYSIS_CONFIG.backend, ...ANALYSIS_CONFIG.fallbacks];
+    const unknown = backends.filter(backend => !BACKEND_REQUIREMENTS[backend]);
+    if (unknown.length) {
+        throw new Error(`❌ Unknown analysis backend(s): ${unknown.join(', ')}`);
+    }
+    if (backends.includes('stub') && !ANALYSIS_CONFIG.stubEnabled) {
+        throw new Error('❌ The stub analysis backend needs ANALYSIS_STUB_ENABLED=true');
+    }
+
+    if (!AUDIT_TRAIL_MODES.includes(AUDIT_TRAIL_CONFIG.mode)) {
+        throw new Error(`❌ Unknown HUBSPOT_AUDIT_TRAIL: ${AUDIT_TRAIL_CONFIG.mode} (${AUDIT_TRAIL_MODES.join(', ')})`);
+    }
+    if (AUDIT_TRAIL_CONFIG.mode === 'timeline' && !AUDIT_TRAIL_CONFIG.timelineEventTemplateId) {
+        throw new Error('❌ HUBSPOT_AUDIT_TRAIL=timeline needs HUBSPOT_TIMELINE_EVENT_TEMPLATE_ID');
+    }
+
+    if (!EMAIL_ATTACHMENT_MODES.includes(EMAIL_CONFIG.attachments.mode)) {
+        throw new Error(`❌ Unknown EMAIL_ATTACHMENT_MODE: ${EMAIL_CONFIG.attachments.mode} (${EMAIL_ATTACHMENT_MODES.join(', ')})`);
+    }
+
+    // Queued webhooks live in DATA_DIR; on Vercel the temp dir default loses them with the instance
+    if (!STORAGE_CONFIG.persistent && !JOB_QUEUE_CONFIG.processInline) {
+        throw new Error('❌ JOB_PROCESS_INLINE=false needs DATA_DIR: queued webhooks would be lost with the instance');
+    }
+    if (process.env.VERCEL && !STORAGE_CONFIG.persistent) {
+        console.warn('⚠️ DATA_DIR is not set: webhooks are processed inline; the idempotency ledger and the review queue only live as long as this instance');
+    }
+
+    const required = [HUBSPOT_ACCESS_TOKEN, ...backends.flatMap(backend => BACKEND_REQUIREMENTS[backend]())];
     if (required.some(field => !field)) {
         throw new Error('❌ Missing required environment variables');
     }
@@ -72,7 +362,26 @@ export default {
     OPENAI_API_KEY,
     HUBSPOT_ACCESS_TOKEN,
     EMAIL_CONFIG,
+    DOCUMENT_BUNDLE_CONFIG,
+    DOWNLOAD_LINK_CONFIG,
+    HUBSPOT_MAPPING,
     HUBSPOT_CONFIG,
+    HUBSPOT_API_CONFIG,
+    HUBSPOT_WEBHOOK_CONFIG,
+    STORAGE_CONFIG,
+    API_AUTH_CONFIG,
+    JOB_QUEUE_CONFIG,
+    IDEMPOTENCY_CONFIG,
     OPENAI_CONFIG,
+    AZURE_OPENAI_CONFIG,
+    LOCAL_LLM_CONFIG,
+    DOCUMENT_CONFIG,
+    ANALYSIS_CONFIG,
+    OCR_CONFIG,
+    ARTIFACT_CONFIG,
+    RECONCILIATION_CONFIG,
+    PERMIT_REMINDER_CONFIG,
+    AUDIT_TRAIL_CONFIG,
+    REVIEW_CONFIG,
     validateConfig
 };
\ No newline at end of file
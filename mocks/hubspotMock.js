@@ -0,0 +1,422 @@
+// mocks/hubspotMock.js
+// In-process fake of the HubSpot endpoints this project calls: file signed URLs and details,
+// v3 object GET/PATCH/create/search, batch read/update, v4 associations, owners, timeline events
+// and the properties API (property and group list/create). State starts from
+// fixtures (mocks/fixtures/hubspot.json) and every request is recorded, so a run can assert on
+// the exact CRM writes. Errors use HubSpot's body shape ({ status, message, correlationId, category }).
+//
+//   const mock = createHubSpotMock();
+//   await mock.start();               // also points the HubSpot client at the mock
+//   await mock.sendWebhook(`${appUrl}/webhook/hubspot`, events);
+//   mock.getWrites(); mock.getRecord('0-1', '101');
+//   await mock.stop();
+//
+// Run standalone with `npm run mock:hubspot` and start the server with HUBSPOT_API_BASE_URL.
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures', import.meta.url));
+// POSTs that change CRM data (batch reads are POSTs too)
+const WRITE_PATTERN = /\/batch\/update$|^\/crm\/v3\/objects\/[^/]+$|^\/crm\/v3\/timeline\/events$/;
+
+export const loadFixtures = (file = path.join(FIXTURES_DIR, 'hubspot.json')) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// HubSpot returns numeric ids as numbers in v4 association results
+const toObjectId = (id) => /^\d+$/.test(id) ? Number(id) : id;
+
+const sendError = (res, status, message, category) => res.status(status).json({
+    status: 'error',
+    message,
+    correlationId: crypto.randomUUID(),
+    category
+});
+
+// Headers HubSpot sends with a webhook (X-HubSpot-Signature-v3)
+export const signWebhookRequest = ({ method = 'POST', uri, body, secret = config.HUBSPOT_WEBHOOK_CONFIG.clientSecret, timestamp = Date.now() }) => ({
+    'Content-Type': 'application/json',
+    'X-HubSpot-Request-Timestamp': String(timestamp),
+    'X-HubSpot-Signature-v3': crypto.createHmac('sha256', secret).update(`${method}${uri}${body}${timestamp}`).digest('base64')
+});
+
+export const createHubSpotMock = ({ fixtures = loadFixtures(), fixturesDir = FIXTURES_DIR, accessToken = null } = {}) => {
+    let state;
+    let server = null;
+    let baseUrl = null;
+    let previousBaseUrl = null;
+    const requests = [];
+    const failures = [];
+
+    const reset = () => {
+        const now = new Date().toISOString();
+        state = {
+            records: Object.fromEntries(Object.entries(fixtures.records || {}).map(([objectType, records]) => [
+                objectType,
+                Object.fromEntries(Object.entries(records).map(([id, properties]) => [
+                    id,
+                    { id, properties: { ...properties }, createdAt: now, updatedAt: now }
+                ]))
+            ])),
+            // Associations work in both directions
+            associations: (fixtures.associations || []).flatMap(({ from, to }) => {
+                const [fromType, fromId] = from.split(':');
+                const [toType, toId] = to.split(':');
+                return [{ fromType, fromId, toType, toId }, { fromType: toType, fromId: toId, toType: fromType, toId: fromId }];
+            }),
+            timelineEvents: [],
+            files: structuredClone(fixtures.files || {}),
+            owners: structuredClone(fixtures.owners || {}),
+            properties: structuredClone(fixtures.properties || {}),
+            // Groups of the fixture properties exist too
+            groups: Object.fromEntries(Object.entries(fixtures.properties || {}).map(([objectType, properties]) => [
+                objectType,
+                [...new Set(properties.map(property => property.groupName))].map(name => ({ name, label: name, displayOrder: -1, archived: false }))
+            ])),
+            nextId: 900000
+        };
+        requests.length = 0;
+        failures.length = 0;
+    };
+
+    const findRecord = (objectType, id) => state.records[objectType]?.[String(id)] ?? null;
+
+    const toResponse = (record, properties = null) => ({
+        id: record.id,
+        properties: {
+            ...(properties ? Object.fromEntries(properties.map(name => [name, record.properties[name] ?? null])) : record.properties),
+            hs_object_id: record.id
+        },
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        archived: false
+    });
+
+    // HubSpot keeps every property value as a string
+    const applyProperties = (record, properties = {}) => {
+        for (const [name, value] of Object.entries(properties)) {
+            record.properties[name] = value === null || value === undefined ? '' : String(value);
+        }
+        record.updatedAt = new Date().toISOString();
+    };
+
+    const associate = (fromType, fromId, toType, toId) => state.associations.push({ fromType, fromId: String(fromId), toType, toId: String(toId) });
+
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: req.body ?? null, at: new Date().toISOString() });
+        if (req.path.startsWith('/_files/')) return next();
+
+        const token = req.get('authorization')?.replace(/^Bearer\s+/, '');
+        if (!token || (accessToken && token !== accessToken)) {
+            return sendError(res, 401, 'Authentication credentials not found.', 'INVALID_AUTHENTICATION');
+        }
+
+        const failure = failures.find(item => item.method === req.method && (item.path instanceof RegExp ? item.path.test(req.path) : item.path === req.path));
+        if (failure) {
+            if (--failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+            if (failure.retryAfter) res.set('Retry-After', String(failure.retryAfter));
+            return sendError(res, failure.status, failure.message || `Injected ${failure.status} response`, failure.category || 'MOCK_FAILURE');
+        }
+        next();
+    });
+
+    app.get('/files/v3/files/:fileId/signed-url', (req, res) => {
+        const file = state.files[req.params.fileId];
+        if (!file) return sendError(res, 404, `File ${req.params.fileId} not found`, 'OBJECT_NOT_FOUND');
+        res.json({
+            url: `${baseUrl}/_files/${req.params.fileId}/${encodeURIComponent(file.name)}`,
+            expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+            name: path.parse(file.name).name,
+            extension: path.extname(file.name).slice(1),
+            type: file.type || null
+        });
+    });
+
+    app.get('/files/v3/files/:fileId', (req, res) => {
+        const file = state.files[req.params.fileId];
+        if (!file) return sendError(res, 404, `File ${req.params.fileId} not found`, 'OBJECT_NOT_FOUND');
+        res.json({
+            id: req.params.fileId,
+            name: path.parse(file.name).name,
+            extension: path.extname(file.name).slice(1),
+            url: `${baseUrl}/_files/${req.params.fileId}/${encodeURIComponent(file.name)}`,
+            createdAt: file.createdAt || file.updatedAt,
+            updatedAt: file.updatedAt,
+            archived: false
+        });
+    });
+
+    // Where signed URLs point; serves the fixture file
+    app.get('/_files/:fileId/:name', (req, res) => {
+        const file = state.files[req.params.fileId];
+        if (!file) return res.sendStatus(404);
+        res.sendFile(path.resolve(fixturesDir, file.path));
+    });
+
+    app.post('/crm/v3/objects/:objectType/batch/read', (req, res) => {
+        const { inputs = [], properties = null } = req.body;
+        const results = [];
+        const missing = [];
+        for (const { id } of inputs) {
+            const record = findRecord(req.params.objectType, id);
+            if (record) results.push(toResponse(record, properties));
+            else missing.push(String(id));
+        }
+        const errors = missing.length
+            ? [{ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Could not get some records', context: { ids: missing } }]
+            : [];
+        res.status(errors.length ? 207 : 200).json({ status: 'COMPLETE', results, ...(errors.length && { errors, numErrors: errors.length }) });
+    });
+
+    app.post('/crm/v3/objects/:objectType/batch/update', (req, res) => {
+        const results = [];
+        const missing = [];
+        for (const { id, properties } of req.body.inputs || []) {
+            const record = findRecord(req.params.objectType, id);
+            if (!record) {
+                missing.push(String(id));
+                continue;
+            }
+            applyProperties(record, properties);
+            results.push(toResponse(record));
+        }
+        const errors = missing.length
+            ? [{ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Could not update some records', context: { ids: missing } }]
+            : [];
+        res.status(errors.length ? 207 : 200).json({ status: 'COMPLETE', results, ...(errors.length && { errors, numErrors: errors.length }) });
+    });
+
+    // CRM search: filter groups are ORed, the filters within a group ANDed. Date values (YYYY-MM-DD)
+    // compare with epoch milliseconds like HubSpot's date properties do.
+    app.post('/crm/v3/objects/:objectType/search', (req, res) => {
+        const { filterGroups = [], properties = null, sorts = [], limit = 10, after = 0 } = req.body;
+        const comparable = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            if (/^-?\d+(\.\d+)?$/.test(String(value))) return Number(value);
+            const time = Date.parse(value);
+            return Number.isNaN(time) ? String(value) : time;
+        };
+        const matches = (record, { propertyName, operator, value, highValue }) => {
+            const actual = comparable(record.properties[propertyName]);
+            if (operator === 'HAS_PROPERTY') return actual !== null;
+            if (operator === 'NOT_HAS_PROPERTY') return actual === null;
+            if (operator === 'EQ') return actual === comparable(value);
+            if (operator === 'NEQ') return actual !== comparable(value);
+            if (actual === null) return false;
+            if (operator === 'GT') return actual > comparable(value);
+            if (operator === 'GTE') return actual >= comparable(value);
+            if (operator === 'LT') return actual < comparable(value);
+            if (operator === 'LTE') return actual <= comparable(value);
+            if (operator === 'BETWEEN') return actual >= comparable(value) && actual <= comparable(highValue);
+            return false;
+        };
+
+        const found = Object.values(state.records[req.params.objectType] || {})
+            .filter(record => !filterGroups.length || filterGroups.some(group => (group.filters || []).every(filter => matches(record, filter))));
+        for (const { propertyName, direction } of [...sorts].reverse()) {
+            const sign = direction === 'DESCENDING' ? -1 : 1;
+            found.sort((a, b) => {
+                const [first, second] = [a, b].map(record => comparable(record.properties[propertyName]) ?? Infinity);
+                return first === second ? 0 : sign * (first > second ? 1 : -1);
+            });
+        }
+
+        const offset = Number(after) || 0;
+        const next = offset + limit < found.length ? String(offset + limit) : null;
+        res.json({
+            total: found.length,
+            results: found.slice(offset, offset + limit).map(record => toResponse(record, properties?.length ? properties : null)),
+            ...(next && { paging: { next: { after: next } } })
+        });
+    });
+
+    // Creates tasks, notes or any other object, with its associations
+    app.post('/crm/v3/objects/:objectType', (req, res) => {
+        const { objectType } = req.params;
+        const id = String(state.nextId++);
+        const now = new Date().toISOString();
+        const record = { id, properties: {}, createdAt: now, updatedAt: now };
+        applyProperties(record, req.body.properties);
+        state.records[objectType] = { ...state.records[objectType], [id]: record };
+
+        for (const association of req.body.associations || []) {
+            const target = Object.keys(state.records).find(type => findRecord(type, association.to.id));
+            if (target) {
+                associate(objectType, id, target, association.to.id);
+                associate(target, association.to.id, objectType, id);
+            }
+        }
+        res.status(201).json(toResponse(record));
+    });
+
+    app.get('/crm/v3/objects/:objectType/:objectId', (req, res) => {
+        const record = findRecord(req.params.objectType, req.params.objectId);
+        if (!record) return sendError(res, 404, `Object ${req.params.objectType}/${req.params.objectId} not found`, 'OBJECT_NOT_FOUND');
+        const properties = req.query.properties ? String(req.query.properties).split(',').filter(Boolean) : null;
+        res.json(toResponse(record, properties?.length ? properties : null));
+    });
+
+    app.patch('/crm/v3/objects/:objectType/:objectId', (req, res) => {
+        const record = findRecord(req.params.objectType, req.params.objectId);
+        if (!record) return sendError(res, 404, `Object ${req.params.objectType}/${req.params.objectId} not found`, 'OBJECT_NOT_FOUND');
+        if (!req.body?.properties || typeof req.body.properties !== 'object') {
+            return sendError(res, 400, 'Invalid input JSON: properties is required', 'VALIDATION_ERROR');
+        }
+        applyProperties(record, req.body.properties);
+        res.json(toResponse(record));
+    });
+
+    app.get('/crm/v4/objects/:objectType/:objectId/associations/:toObjectType', (req, res) => {
+        const { objectType, objectId, toObjectType } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 500, 500);
+        const offset = parseInt(req.query.after) || 0;
+        const all = state.associations
+            .filter(item => item.fromType === objectType && item.fromId === objectId && item.toType === toObjectType)
+            .map(item => ({
+                toObjectId: toObjectId(item.toId),
+                associationTypes: [{ category: 'HUBSPOT_DEFINED', typeId: 1, label: null }]
+            }));
+        const next = offset + limit < all.length ? { next: { after: String(offset + limit) } } : null;
+        res.json({ results: all.slice(offset, offset + limit), ...(next && { paging: next }) });
+    });
+
+    app.put('/crm/v4/objects/:objectType/:objectId/associations/default/:toObjectType/:toObjectId', (req, res) => {
+        const { objectType, objectId, toObjectType, toObjectId } = req.params;
+        for (const [type, id] of [[objectType, objectId], [toObjectType, toObjectId]]) {
+            if (!findRecord(type, id)) return sendError(res, 404, `Object ${type}/${id} not found`, 'OBJECT_NOT_FOUND');
+        }
+        associate(objectType, objectId, toObjectType, toObjectId);
+        associate(toObjectType, toObjectId, objectType, objectId);
+        res.json({
+            status: 'COMPLETE',
+            results: [{ from: { id: objectId }, to: { id: toObjectId }, associationSpec: { associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 1 } }]
+        });
+    });
+
+    app.get('/crm/v3/owners/:ownerId', (req, res) => {
+        const owner = state.owners[req.params.ownerId];
+        if (!owner) return sendError(res, 404, `Owner ${req.params.ownerId} not found`, 'OBJECT_NOT_FOUND');
+        res.json({ id: req.params.ownerId, ...owner, archived: false });
+    });
+
+    app.post('/crm/v3/timeline/events', (req, res) => {
+        const { eventTemplateId, objectId } = req.body || {};
+        if (!eventTemplateId || !objectId) return sendError(res, 400, 'eventTemplateId and objectId are required', 'VALIDATION_ERROR');
+        const event = { id: crypto.randomUUID(), ...req.body, timestamp: req.body.timestamp || new Date().toISOString() };
+        state.timelineEvents.push(event);
+        res.status(201).json(event);
+    });
+
+    app.get('/crm/v3/properties/:objectType/groups', (req, res) => {
+        res.json({ results: state.groups[req.params.objectType] || [] });
+    });
+
+    app.post('/crm/v3/properties/:objectType/groups', (req, res) => {
+        const { objectType } = req.params;
+        const { name, label, displayOrder = -1 } = req.body || {};
+        if (!name || !label) return sendError(res, 400, 'Property group name and label are required', 'VALIDATION_ERROR');
+        if ((state.groups[objectType] || []).some(group => group.name === name)) {
+            return sendError(res, 409, `A property group named '${name}' already exists.`, 'OBJECT_ALREADY_EXISTS');
+        }
+        const group = { name, label, displayOrder, archived: false };
+        state.groups[objectType] = [...(state.groups[objectType] || []), group];
+        res.status(201).json(group);
+    });
+
+    app.get('/crm/v3/properties/:objectType', (req, res) => {
+        res.json({ results: state.properties[req.params.objectType] || [] });
+    });
+
+    app.post('/crm/v3/properties/:objectType', (req, res) => {
+        const { objectType } = req.params;
+        const { name, label, type, fieldType, groupName } = req.body || {};
+        if (!name || !label || !type || !fieldType || !groupName) {
+            return sendError(res, 400, 'Property name, label, type, fieldType and groupName are required', 'VALIDATION_ERROR');
+        }
+        if (!(state.groups[objectType] || []).some(group => group.name === groupName)) {
+            return sendError(res, 400, `Property group '${groupName}' does not exist`, 'VALIDATION_ERROR');
+        }
+        if ((state.properties[objectType] || []).some(property => property.name === name)) {
+            return sendError(res, 409, `A property named '${name}' already exists.`, 'OBJECT_ALREADY_EXISTS');
+        }
+        const property = { ...req.body, options: req.body.options || [], archived: false };
+        state.properties[objectType] = [...(state.properties[objectType] || []), property];
+        res.status(201).json(property);
+    });
+
+    app.use((req, res) => sendError(res, 404, `Mock has no route for ${req.method} ${req.path}`, 'OBJECT_NOT_FOUND'));
+
+    // attach: point the default HubSpot client at the mock until stop()
+    const start = ({ port = 0, attach = true } = {}) => new Promise((resolve, reject) => {
+        server = app.listen(port, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            if (attach) {
+                previousBaseUrl = config.HUBSPOT_API_CONFIG.baseUrl;
+                config.HUBSPOT_API_CONFIG.baseUrl = baseUrl;
+            }
+            resolve(baseUrl);
+        }).on('error', reject);
+    });
+
+    const stop = () => new Promise((resolve) => {
+        if (previousBaseUrl !== null) {
+            config.HUBSPOT_API_CONFIG.baseUrl = previousBaseUrl;
+            previousBaseUrl = null;
+        }
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server = null;
+    });
+
+    // The next `times` requests matching method and path (string or RegExp) get `status`
+    const failNext = ({ method, path: requestPath, status, times = 1, retryAfter = null, message = null, category = null }) =>
+        failures.push({ method: method.toUpperCase(), path: requestPath, status, times, retryAfter, message, category });
+
+    // Signs and delivers webhook events the way HubSpot does
+    const sendWebhook = async (url, events, { secret } = {}) => {
+        const body = JSON.stringify(events);
+        return fetch(url, { method: 'POST', headers: signWebhookRequest({ uri: url, body, secret }), body });
+    };
+
+    reset();
+
+    return {
+        app,
+        start,
+        stop,
+        reset,
+        failNext,
+        sendWebhook,
+        get baseUrl() { return baseUrl; },
+        getRequests: () => [...requests],
+        // Property writes, created objects and associations, in order
+        getWrites: () => requests.filter(item => ['PATCH', 'PUT'].includes(item.method) || (item.method === 'POST' && WRITE_PATTERN.test(item.path))),
+        getTimelineEvents: () => structuredClone(state.timelineEvents),
+        getRecord: (objectType, id) => {
+            const record = findRecord(objectType, id);
+            return record ? { ...record.properties } : null;
+        },
+        getAssociations: (objectType, id) => state.associations
+            .filter(item => item.fromType === objectType && item.fromId === String(id))
+            .map(({ toType, toId }) => ({ toType, toId }))
+    };
+};
+
+// Standalone: npm run mock:hubspot
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const mock = createHubSpotMock();
+    const url = await mock.start({ port: parseInt(process.env.HUBSPOT_MOCK_PORT) || 4010, attach: false });
+    console.log(`🧪 HubSpot mock running on ${url}`);
+    console.log(`   Start the server with HUBSPOT_API_BASE_URL=${url} ANALYSIS_BACKEND=stub ANALYSIS_FALLBACKS= EMAIL_TRANSPORT=capture`);
+}
+
+export default {
+    loadFixtures,
+    signWebhookRequest,
+    createHubSpotMock
+};
@@ -0,0 +1,88 @@
+// scripts/hubspotSetup.js
+// Creates the HubSpot custom properties the configured mapping writes, and their property group.
+//
+//   npm run hubspot:setup                     # create what is missing
+//   npm run hubspot:setup -- --dry-run        # only print the diff
+//   npm run hubspot:setup -- --object contact # limit to object types (name or id, repeatable)
+//
+// Uses HUBSPOT_ACCESS_TOKEN (needs the crm.schemas.*.write scopes), HUBSPOT_API_BASE_URL and
+// HUBSPOT_MAPPING_FILE like the server. Existing properties are left untouched.
+import config from '../config/index.js';
+import { validateHubSpotMapping } from '../services/propertyMapping.js';
+import { planHubSpotSetup, applyHubSpotSetup } from '../services/hubspotSetup.js';
+
+const parseArgs = (args) => {
+    const options = { dryRun: false, objectTypes: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dry-run') options.dryRun = true;
+        else if (args[i] === '--object' && args[i + 1]) options.objectTypes.push(args[++i]);
+        else throw new Error(`❌ Unknown argument "${args[i]}" (use --dry-run, --object <name|id>)`);
+    }
+    return options;
+};
+
+const describeType = ({ type, fieldType }) => `${type}/${fieldType}`;
+
+const printPlan = ({ plan, conflicts }, { dryRun }) => {
+    for (const entry of plan) {
+        console.log(`\n📦 ${entry.objectType} (${entry.objectTypeId})`);
+        if (entry.error) {
+            console.log(`   ❌ Could not read properties: ${entry.error}`);
+            continue;
+        }
+        if (entry.group) {
+            const status = dryRun ? '' : entry.group.error ? ` ❌ ${entry.group.error}` : ' ✅';
+            console.log(`   + group ${entry.group.name} "${entry.group.label}"${status}`);
+        }
+        for (const definition of entry.create) {
+            const status = dryRun ? '' : definition.error ? ` ❌ ${definition.error}` : ' ✅';
+            console.log(`   + ${definition.name} (${describeType(definition)}) "${definition.label}"${status}`);
+        }
+        for (const { name, expected, actual, missingOptions } of entry.mismatched) {
+            const options = missingOptions.length ? `, missing options ${missingOptions.join(', ')}` : '';
+            console.log(`   ~ ${name}: is ${describeType(actual)}, expected ${describeType(expected)}${options}`);
+        }
+        for (const name of entry.existing) console.log(`   = ${name}`);
+    }
+
+    for (const { objectTypeId, name, first, second } of conflicts) {
+        console.log(`\n⚠️ ${name} on ${objectTypeId} needs different types for ${first} and ${second}; using the first`);
+    }
+};
+
+const summarize = (plan, { dryRun }) => {
+    const created = plan.flatMap(entry => entry.create).filter(definition => definition.created).length;
+    const planned = plan.reduce((sum, entry) => sum + entry.create.length, 0);
+    const existing = plan.reduce((sum, entry) => sum + entry.existing.length, 0);
+    const mismatched = plan.reduce((sum, entry) => sum + entry.mismatched.length, 0);
+    const failed = plan.filter(entry => entry.error).length
+        + plan.filter(entry => entry.group?.error).length
+        + plan.flatMap(entry => entry.create).filter(definition => definition.error).length;
+
+    console.log(`\n${dryRun ? '🔍 Dry run' : '🛠️ Setup'}: ${dryRun ? `${planned} to create` : `${created}/${planned} created`}, ${existing} up to date, ${mismatched} with a different type, ${failed} failed`);
+    if (mismatched) console.log('   Properties with a different type are not changed; fix them in HubSpot or point the mapping at another property.');
+    return failed === 0;
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    if (!config.HUBSPOT_ACCESS_TOKEN) throw new Error('❌ HUBSPOT_ACCESS_TOKEN is required');
+    validateHubSpotMapping();
+    const { objectTypes } = config.HUBSPOT_MAPPING;
+    const unknown = options.objectTypes.filter(objectType => !objectTypes[objectType] && !Object.values(objectTypes).includes(objectType));
+    if (unknown.length) throw new Error(`❌ Unknown object type(s): ${unknown.join(', ')}`);
+
+    console.log(`🔧 HubSpot setup against ${config.HUBSPOT_API_CONFIG.baseUrl} (mapping: ${config.HUBSPOT_MAPPING.file || 'config/hubspotMapping.json'})${options.dryRun ? ' - dry run' : ''}`);
+    const result = await planHubSpotSetup({ objectTypes: options.objectTypes.length ? options.objectTypes : null });
+    if (!options.dryRun) await applyHubSpotSetup(result);
+
+    printPlan(result, options);
+    return summarize(result.plan, options);
+};
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -1,534 +1,678 @@
+import crypto from 'crypto';
 import express from 'express';
-import path from 'path';
 import config, { validateConfig } from './config/index.js';
-import { ERROR_MESSAGES } from './config/constants.js';
+import { ERROR_MESSAGES, JOB_STATUS, JOB_TYPES, REVIEW_STATUS } from './config/constants.js';
 
 // Service imports
 import * as hubspot from './services/hubspot.js';
 import * as analysis from './services/analysis.js';
 import * as email from './services/email.js';
+import * as emailHistory from './services/emailHistory.js';
+import * as documentBundle from './services/documentBundle.js';
+import * as downloadLinks from './services/downloadLinks.js';
+import * as jobs from './services/jobs.js';
+import * as idempotency from './services/idempotency.js';
+import * as schemaRegistry from './services/schemaRegistry.js';
+import * as review from './services/review.js';
+import * as artifacts from './services/artifacts.js';
+import * as reconciliation from './services/reconciliation.js';
+import * as permits from './services/permits.js';
+import * as auditTrail from './services/auditTrail.js';
+import { validateExtractedData } from './services/validation.js';
+import { validateHubSpotMapping } from './services/propertyMapping.js';
 import * as utils from './utils/helpers.js';
 
 // Initialize
 const app = express();
 validateConfig();
+validateHubSpotMapping();
 
 // Setup
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around: HubSpot signs the exact bytes it sent
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
 
-// Business Logic
-const services = {
+// Middleware
+const verifyHubSpotSignature = (req, res, next) => {
+  const publicUrl = config.HUBSPOT_WEBHOOK_CONFIG.publicUrl;
+  const protocol = req.get('x-forwarded-proto')?.split(',')[0] || req.protocol;
+  const uri = publicUrl
+    ? `${publicUrl.replace(/\/$/, '')}${req.originalUrl.replace(/^[^?]*/, '')}`
+    : `${protocol}://${req.get('host')}${req.originalUrl}`;
+
+  const result = hubspot.verifyWebhookSignature({
+    method: req.method,
+    uri,
+    rawBody: req.rawBody,
+    signature: req.get('x-hubspot-signature-v3'),
+    timestamp: req.get('x-hubspot-request-timestamp')
+  });
+
+  if (!result.valid) {
+    console.warn(`🚫 Rejected webhook: ${result.reason}`);
+    return res.status(401).json({ error: ERROR_MESSAGES.INVALID_WEBHOOK_SIGNATURE });
+  }
+  next();
+};
 
-  processWebhookData: async (webhookData) => {
-    const event = webhookData[0];
-    if (!event?.propertyValue) return { shouldReturn204: true, message: "No propertyValue" };
+// Cron and admin routes: "Authorization: Bearer <secret>" with a secret from API_AUTH_CONFIG
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
 
-    const { fileId, objectTypeId, recordId } = utils.parseFileRecordString(event.propertyValue);
-    const documentUrl = await hubspot.getSignedFileUrl(fileId);
-    console.log(`🔗 Fetched signed URL for fileId: ${documentUrl}`);
-    const fileType = utils.getFileType(documentUrl);
-    console.log(`📄 Detected file type: ${fileType}`);
+const requireApiSecret = (req, res, next) => {
+  const { secrets } = config.API_AUTH_CONFIG;
+  if (!secrets.length) {
+    return res.status(503).json({ error: 'This endpoint needs CRON_SECRET to be configured' });
+  }
 
-    if (fileType === "unknown") throw new Error(ERROR_MESSAGES.UNSUPPORTED_FILE_TYPE);
+  const given = sha256(req.get('authorization') || '');
+  if (!secrets.some(secret => crypto.timingSafeEqual(given, sha256(`Bearer ${secret}`)))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+};
 
-    let extractedData;
-    try {
-      extractedData = fileType === "image"
-        ? await analysis.analyzeImage(documentUrl)
-        : await analysis.analyzePDF(documentUrl);
-    } catch (error) {
-      await hubspot.updateErrorLog(objectTypeId, recordId, error.message, { fileType });
-      return { shouldReturn204: true, message: "Analysis failed" };
+// Business Logic
+const services = {
+
+  // Processes every event of a HubSpot batch (up to 100), not just the first one
+  processWebhookData: async (webhookData) => {
+    const events = utils.uniqueBy(webhookData, event => event.eventId);
+    if (events.length < webhookData.length) {
+      console.log(`♻️ Dropped ${webhookData.length - events.length} duplicate event(s) from batch`);
     }
 
-    console.log(`🧾 Extracted data:`, extractedData);
-    await hubspot.updateProperty(objectTypeId, recordId, config.HUBSPOT_CONFIG.properties.extractedData, extractedData);
-    await hubspot.updateProperty(objectTypeId, recordId, config.HUBSPOT_CONFIG.properties.fileId, fileId);
+    const results = await utils.mapWithConcurrency(
+      events,
+      config.HUBSPOT_WEBHOOK_CONFIG.eventConcurrency,
+      async (event) => {
+        const route = webhookRoutes.find(item => item.matches(event));
+        if (!route) {
+          console.log(`⏭️ Event ${event.eventId} skipped: no route for ${event.subscriptionType}/${event.propertyName}`);
+          return { eventId: event.eventId, status: 'skipped', message: 'No route for event' };
+        }
 
-    // Update individual properties
-    await hubspot.updateIndividualProperties(objectTypeId, recordId, extractedData);
+        try {
+          // HubSpot retries deliveries; events without an id cannot be deduplicated
+          const result = event.eventId === undefined
+            ? await route.handle(event)
+            : await idempotency.runOnce(idempotency.buildKey('event', event.eventId), () => route.handle(event), {
+              // A failed analysis stays open so a redelivery of the event runs it again
+              isSuccess: r => !r?.analysisFailed,
+              describe: () => ({ route: route.name })
+            });
+
+          if (result?.duplicate) {
+            return { eventId: event.eventId, route: route.name, status: 'skipped', message: 'Event already processed' };
+          }
+
+          console.log(`✅ Event ${event.eventId} handled by ${route.name}:`, result?.message || 'done');
+          return { eventId: event.eventId, route: route.name, status: 'processed', result };
+        } catch (error) {
+          console.error(`❌ Event ${event.eventId} failed in ${route.name}:`, error.message);
+          return { eventId: event.eventId, route: route.name, status: 'failed', error: error.message };
+        }
+      }
+    );
 
     return {
-      success: true,
-      message: "Document analyzed and HubSpot updated successfully",
-      parsedData: { fileId, objectTypeId, recordId },
-      fileType
+      total: events.length,
+      processed: results.filter(r => r.status === 'processed').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      results
     };
   },
 
-  sendEmailWithAttachments: async (req) => {
-    let tempFiles = [];
-
-    try {
-      const contactDeal = await hubspot.fetchHubSpotAssociatedData(
-        config.HUBSPOT_CONFIG.objectTypes.contact,
-        req.body.contactId,
-        config.HUBSPOT_CONFIG.objectTypes.deal,
-        1
-      );
-
-      const dealServices = await hubspot.fetchHubSpotAssociatedData(
-        config.HUBSPOT_CONFIG.objectTypes.deal,
-        contactDeal.results[0].toObjectId,
-        config.HUBSPOT_CONFIG.objectTypes.service,
-        25
-      );
-
-      const serviceIds = dealServices.results.map(item => item.toObjectId);
-
-      const serviceDetails = await hubspot.fetchHubSpotBatchRecords(
-        config.HUBSPOT_CONFIG.objectTypes.service,
-        serviceIds,
-        [
-          config.HUBSPOT_CONFIG.properties.fileId,
-          config.HUBSPOT_CONFIG.properties.sendAttachment
-        ],
-        false
-      );
-
-      // console.log('Fetched service details:', serviceDetails);
-
-      // Process files
-      const processedFiles = await Promise.all(
-        serviceDetails.results.map(async (service) => {
-          console.log('Processing service:', service);
-          const fileId = service.properties.file_id;
-          const sendAttachment = service.properties.send_attachment;
-          console.log(`File ID: ${fileId}, Send Attachment: ${sendAttachment}`);
-          // Check if fileId exists and sendAttachment is true
-          if (!fileId || !sendAttachment) return null;
-
-          try {
-            const signedUrl = await hubspot.getSignedFileUrl(fileId);
-            const tempPath = await utils.downloadAndSaveFile(signedUrl, fileId);
-            tempFiles.push(tempPath);
-
-            return {
-              filename: `document_${fileId}${path.extname(new URL(signedUrl).pathname) || '.pdf'}`,
-              path: tempPath
-            };
-          } catch (error) {
-            console.error(`File processing failed: ${fileId}`, error);
-            return null;
-          }
-        })
-      );
-
-      const attachments = processedFiles.filter(Boolean);
-      console.log(`✅ Processed ${attachments.length} attachments for email`);
-      const emailResult = await email.sendEmailWithAttachments(
-        config.EMAIL_CONFIG.sendTo,
-        'Document Analysis Report',
-        `Please find the attached documents for your review.`,
-        attachments
-      );
+  processDocumentEvent: async (event, options = {}) => {
+    if (!event?.propertyValue) return { shouldReturn204: true, message: "No propertyValue" };
 
-      await utils.cleanupTempFiles(tempFiles);
+    const parsed = utils.parseFileRecordString(event.propertyValue);
+    const { fileIds, objectTypeId, recordId, backend } = parsed;
+    // "Passport" and "passport" are the same type: one ledger key, one backend chain
+    const docType = schemaRegistry.normalizeDocType(parsed.docType);
 
-      return {
-        emailSent: true,
-        emailsSent: emailResult.emailsSent,
-        filesProcessed: attachments.length,
-        contactAssociatedDeal: contactDeal,
-        dealAssociatedServiceObjects: dealServices,
-        dealAssociatedServiceObjectIds: serviceIds,
-        dealAssociatedServiceObjectDetails: serviceDetails
-      };
-    } catch (error) {
-      await utils.cleanupTempFiles(tempFiles);
-      throw error;
+    if (docType && !schemaRegistry.hasDocumentType(docType)) {
+      await hubspot.updateErrorLog(objectTypeId, recordId, `${ERROR_MESSAGES.UNKNOWN_DOCUMENT_TYPE}: ${docType}`, { fileIds });
+      return { success: false, message: `Unknown document type: ${docType}` };
     }
-  }
-};
-
-// Function 1: Fetch Service Details (calls processServiceFiles function)
-const fetchContactServiceDetails = async (contactId) => {
-  try {
-    console.log(`🔍 Starting service details fetch for contact: ${contactId}`);
-
-    // Fetch associated deal for contact
-    const contactDeal = await hubspot.fetchHubSpotAssociatedData(
-      config.HUBSPOT_CONFIG.objectTypes.contact,
-      contactId,
-      config.HUBSPOT_CONFIG.objectTypes.deal,
-      1
-    );
 
-    if (!contactDeal.results.length) {
-      throw new Error(`No deal found for contact: ${contactId}`);
+    // Only from the configured chain, so an upload can't pick the stub or an unconfigured provider
+    if (backend && !analysis.getBackendChain().includes(backend)) {
+      await hubspot.updateErrorLog(objectTypeId, recordId, `${ERROR_MESSAGES.ANALYSIS_BACKEND_NOT_CONFIGURED}: ${backend}`, { fileIds });
+      return { success: false, message: `Analysis backend not configured: ${backend}` };
     }
 
-    const dealId = contactDeal.results[0].toObjectId;
-    console.log(`📧 Processing deal id: ${dealId}`);
+    const fileVersions = await Promise.all(fileIds.map(fileId => hubspot.getFileVersion(fileId)));
+    const analysisKey = idempotency.buildKey(
+      'analysis',
+      fileIds.map((fileId, index) => `${fileId}@${fileVersions[index]}`).join('+'),
+      recordId,
+      docType,
+      // Only part of the key when explicitly requested, so a forced backend re-analyzes
+      ...(backend ? [backend] : [])
+    );
 
-    // Fetch services associated with deal
-    const dealServices = await hubspot.fetchHubSpotAssociatedData(
-      config.HUBSPOT_CONFIG.objectTypes.deal,
-      dealId,
-      config.HUBSPOT_CONFIG.objectTypes.service,
-      25
+    const result = await idempotency.runOnce(
+      analysisKey,
+      () => services.analyzeDocument({ fileIds, objectTypeId, recordId, docType, backend }),
+      {
+        force: options.force,
+        // A rejection or block is a final answer for these file versions; don't pay to analyze them again
+        isSuccess: r => r.success || r.rejected || r.blocked,
+        describe: r => ({ fileTypes: r.fileTypes, docType: r.parsedData?.docType, backend: r.backend, rejected: Boolean(r.rejected), blocked: Boolean(r.blocked) })
+      }
     );
 
-    const serviceIds = dealServices.results.map(item => item.toObjectId);
-    console.log(`🛠️ Service IDs associated with deal:`, serviceIds);
+    if (result.duplicate) {
+      return { skipped: true, message: `Document ${fileIds.join('|')} already analyzed for record ${recordId}` };
+    }
+    return result;
+  },
 
-    if (serviceIds.length === 0) {
-      throw new Error(`No services found for deal: ${dealId}`);
+  // fileIds hold one logical document: front/back scans or several pages/files
+  analyzeDocument: async ({ fileIds, objectTypeId, recordId, docType = null, backend = null }) => {
+    const fileId = fileIds[0];
+    const documents = await Promise.all(fileIds.map(async (id) => {
+      const url = await hubspot.getSignedFileUrl(id);
+      console.log(`🔗 Fetched signed URL for fileId: ${url}`);
+      const fileType = utils.getFileType(url);
+      console.log(`📄 Detected file type for ${id}: ${fileType}`);
+      return { fileId: id, url, fileType };
+    }));
+    const fileTypes = documents.map(document => document.fileType);
+
+    const unsupported = documents.find(document => document.fileType === "unknown");
+    if (unsupported) throw new Error(`${ERROR_MESSAGES.UNSUPPORTED_FILE_TYPE}: ${unsupported.fileId}`);
+
+    let analysisResult;
+    try {
+      analysisResult = await analysis.analyzeDocument(documents, { docType, backend });
+    } catch (error) {
+      await hubspot.updateErrorLog(objectTypeId, recordId, error.message, { fileIds, fileTypes, docType, backend });
+      // The job queue retries an unavailable backend with backoff; a failure that would repeat ends here
+      if (analysis.isTransientAnalysisError(error)) throw error;
+      return { shouldReturn204: true, analysisFailed: true, message: "Analysis failed" };
     }
 
-    // Fetch service details with file_id and send_attachment properties
-    const serviceDetails = await hubspot.fetchHubSpotBatchRecords(
-      config.HUBSPOT_CONFIG.objectTypes.service,
-      serviceIds,
-      [
-        config.HUBSPOT_CONFIG.properties.fileId,
-        config.HUBSPOT_CONFIG.properties.sendAttachment
-      ],
-      false
-    );
+    const { classification, extractedData, fieldConfidence, fieldSources, validationErrors } = analysisResult;
+    const propertyNames = config.HUBSPOT_CONFIG.properties;
+    // Everything this analysis writes to the record is collected here and sent in one PATCH
+    const properties = {};
+    if (classification) {
+      properties[propertyNames.documentType] = classification.documentClass;
+      properties[propertyNames.documentTypeConfidence] = classification.confidence;
+    }
 
-    console.log('🗂️ Fetched service details for services:', serviceDetails.results.length);
+    // Unrelated or unclear uploads never get permit (or any other) fields extracted
+    if (!extractedData) {
+      const reason = classification.docType
+        ? `classified as ${classification.documentClass} with low confidence (${classification.confidence})`
+        : `classified as ${classification.documentClass}`;
+      const message = `${ERROR_MESSAGES.DOCUMENT_REJECTED}: ${reason}`;
+      console.warn(`🚫 ${message} (fileIds: ${fileIds.join(', ')})`);
+      properties[propertyNames.errorLog] = hubspot.buildErrorLog(message, { fileIds, fileTypes, classification });
+      await hubspot.updateProperties(objectTypeId, recordId, properties);
+      const trail = await auditTrail.recordAnalysis({ objectTypeId, recordId, fileIds, outcome: 'rejected', message, analysisResult });
+      return { success: false, rejected: true, message, classification, backend: analysisResult.backend, auditTrail: trail };
+    }
 
-    // Call processServiceFiles function directly
-    const fileProcessing = await processServiceFiles(serviceDetails.results, contactId, dealId);
+    console.log(`🧾 Extracted data (${analysisResult.backend}):`, extractedData);
+    console.log(`📍 Field sources:`, fieldSources);
 
-    return {
-      success: true,
-      contactId,
-      dealId,
-      serviceDetails: serviceDetails.results,
-      fileProcessing: fileProcessing,
-      totalServices: serviceIds.length,
-      metadata: {
-        contactDeal: contactDeal.results[0],
-        dealServices: dealServices.results
-      }
-    };
+    // Invalid values are already nulled out; record why so nothing is silently lost
+    if (validationErrors.length) {
+      properties[propertyNames.errorLog] = hubspot.buildErrorLog(ERROR_MESSAGES.VALIDATION_FAILED, {
+        fileIds,
+        docType: analysisResult.docType,
+        validationErrors
+      });
+    }
 
-  } catch (error) {
-    console.error('Error in fetchContactServiceDetails:', error);
-    return {
-      success: false,
-      error: error.message,
-      contactId
+    const assessment = review.assessExtraction(analysisResult.docType, extractedData, fieldConfidence);
+    const reviewItem = {
+      recordId,
+      objectTypeId,
+      fileId,
+      fileIds,
+      docType: analysisResult.docType,
+      extractedData,
+      fieldConfidence,
+      fieldSources,
+      missingFields: assessment.missingFields,
+      lowConfidenceFields: assessment.lowConfidenceFields,
+      validationErrors
     };
-  }
-};
-
-const processServiceFiles = async (serviceDetails, contactId = null, dealId = null) => {
-  const tempFiles = [];
-  const processedResults = [];
-
-  try {
-    console.log(`📁 Processing files for ${serviceDetails.length} services`);
-
-    // Process all files in parallel
-    const processingPromises = serviceDetails.map(async (service) => {
-      const fileId = service.properties.file_id;
-      console.log(`Processing file ID: ${fileId}`);
-      const sendAttachment = service.properties.send_attachment;
-      console.log(`Send Attachment: ${sendAttachment}`);
-
-      if (fileId && sendAttachment == "Yes") {
-        try {
-          // Get signed URL and download file
-          const signedUrl = await hubspot.getSignedFileUrl(fileId);
-          console.log(`🔗 Fetched signed URL for fileId: ${fileId}`);
-          const tempPath = await utils.downloadAndSaveFile(signedUrl, fileId);
-          console.log(`⬇️ Downloaded and saved fileId: ${fileId} to temp path: ${tempPath}`);
-
-          // Extract file extension from URL or default to PDF
-          const fileExtension = path.extname(new URL(signedUrl).pathname) || '.pdf';
-
-          const fileInfo = {
-            filename: `document_${fileId}${fileExtension}`,
-            path: tempPath,
-            fileId: fileId,
-            serviceId: service.id
-          };
-
-          tempFiles.push(tempPath);
-          processedResults.push({
-            success: true,
-            fileInfo: fileInfo,
-            serviceId: service.id
-          });
-
-          return fileInfo;
 
-        } catch (error) {
-          console.error(`File processing failed for fileId: ${fileId}`, error);
-          processedResults.push({
-            success: false,
-            serviceId: service.id,
-            fileId: fileId,
-            error: error.message
-          });
-          return null;
-        }
-      } else {
-        console.log(`⏭️ Skipping service ${service.id} - fileId: ${fileId}, sendAttachment: ${sendAttachment}`);
-        processedResults.push({
-          success: false,
-          serviceId: service.id,
-          error: 'No file_id found or send_attachment is false'
-        });
-        return null;
-      }
-
-
-    });
+    // Check the document against what the CRM already knows about the person
+    const reconciliationReport = await services.reconcileExtraction({ objectTypeId, recordId, extractedData });
+    if (reconciliationReport) properties[propertyNames.reconciliationReport] = reconciliationReport;
+    if (reconciliationReport?.blocked) {
+      const message = `${ERROR_MESSAGES.IDENTITY_MISMATCH} (contact ${reconciliationReport.contactId})`;
+      console.warn(`🛑 ${message}, fileIds: ${fileIds.join(', ')}`);
+      properties[propertyNames.errorLog] = hubspot.buildErrorLog(message, { fileIds, reconciliation: reconciliationReport, validationErrors });
+      properties[propertyNames.reviewStatus] = REVIEW_STATUS.BLOCKED;
+      await review.addToReviewQueue({ ...reviewItem, reconciliation: reconciliationReport });
+      await hubspot.updateProperties(objectTypeId, recordId, properties);
+      const trail = await auditTrail.recordAnalysis({
+        objectTypeId,
+        recordId,
+        fileIds,
+        outcome: REVIEW_STATUS.BLOCKED,
+        message,
+        analysisResult,
+        contactId: reconciliationReport.contactId
+      });
+      return {
+        success: false,
+        blocked: true,
+        message,
+        parsedData: { fileId, fileIds, objectTypeId, recordId, docType: analysisResult.docType },
+        reconciliation: reconciliationReport,
+        fileTypes,
+        backend: analysisResult.backend,
+        auditTrail: trail
+      };
+    }
 
-    const attachments = (await Promise.all(processingPromises)).filter(Boolean);
+    properties[propertyNames.extractedData] = extractedData;
+    // file_id keeps the primary (first) file; fieldSources says where each value came from
+    properties[propertyNames.fileId] = fileId;
 
-    if (attachments.length === 0) {
-      throw new Error('No valid files were successfully processed');
+    // Guessed or incomplete extractions wait for a reviewer before touching individual properties
+    if (assessment.needsReview) {
+      properties[propertyNames.reviewStatus] = REVIEW_STATUS.PENDING;
+      await review.addToReviewQueue({ ...reviewItem, reconciliation: reconciliationReport });
+      await hubspot.updateProperties(objectTypeId, recordId, properties);
+      console.log(`👀 Record ${recordId} flagged for review (missing: ${assessment.missingFields.join(', ') || '-'}, low confidence: ${assessment.lowConfidenceFields.join(', ') || '-'})`);
+    } else {
+      Object.assign(properties, hubspot.buildIndividualProperties(extractedData, analysisResult.docType, objectTypeId));
+      // The expiry date the permit reminders search for
+      Object.assign(properties, permits.buildPermitProperties(analysisResult.docType, extractedData));
+      properties[propertyNames.reviewStatus] = REVIEW_STATUS.AUTO_APPROVED;
+      await hubspot.updateProperties(objectTypeId, recordId, properties);
     }
 
-    console.log(`✅ Successfully processed ${attachments.length} files`);
-
-    // Call sendServiceDocumentsEmail function directly
-    const emailResult = await sendServiceDocumentsEmail(attachments, tempFiles, contactId, dealId);
+    // One entry per analysis on the record, its contact and deals, next to the overwritten properties
+    const trail = await auditTrail.recordAnalysis({
+      objectTypeId,
+      recordId,
+      fileIds,
+      outcome: properties[propertyNames.reviewStatus],
+      analysisResult,
+      contactId: reconciliationReport?.contactId
+    });
 
     return {
       success: true,
-      attachments: attachments,
-      tempFiles: tempFiles,
-      emailResult: emailResult,
-      processingSummary: {
-        totalProcessed: serviceDetails.length,
-        successful: attachments.length,
-        failed: processedResults.filter(r => !r.success).length,
-        detailedResults: processedResults
-      }
+      message: assessment.needsReview
+        ? "Document analyzed and flagged for human review"
+        : "Document analyzed and HubSpot updated successfully",
+      parsedData: { fileId, fileIds, objectTypeId, recordId, docType: analysisResult.docType },
+      classification,
+      fieldConfidence,
+      fieldSources,
+      pages: analysisResult.pages,
+      review: assessment,
+      reconciliation: reconciliationReport,
+      validationErrors,
+      fileTypes,
+      backend: analysisResult.backend,
+      auditTrail: trail
     };
+  },
 
-  } catch (error) {
-    console.error('Error in processServiceFiles:', error);
+  // Returns the reconciliation report to write to the record, or null when disabled or the
+  // document type carries no personal data. Lookup failures are reported, not fatal.
+  reconcileExtraction: async ({ objectTypeId, recordId, extractedData }) => {
+    if (!config.RECONCILIATION_CONFIG.enabled || !('lastName' in extractedData)) return null;
 
-    // Cleanup temp files if processing fails
-    if (tempFiles.length > 0) {
-      await utils.cleanupTempFiles(tempFiles).catch(cleanupError => {
-        console.error('Error during cleanup in processServiceFiles:', cleanupError);
-      });
+    let report;
+    try {
+      report = await reconciliation.reconcileWithContact({ objectTypeId, recordId, extractedData });
+      console.log(`🪪 Reconciliation with contact ${report.contactId ?? '-'}: ${report.status}`);
+    } catch (error) {
+      console.error('Error reconciling with contact:', error.message);
+      report = { status: 'error', error: error.message, blocked: false, checkedAt: new Date().toISOString() };
     }
+    return report;
+  },
 
-    return {
-      success: false,
-      error: error.message,
-      tempFiles: [], // Already cleaned up
-      processingSummary: {
-        totalProcessed: serviceDetails.length,
-        successful: 0,
-        failed: serviceDetails.length,
-        detailedResults: processedResults
-      }
-    };
-  }
-};
-
-// Function 3: Send Email with Attachments
-const sendServiceDocumentsEmail = async (attachments, tempFiles, contactId = null, dealId = null) => {
-  let emailResult = null;
-  let cleanupSuccess = false;
-
-  try {
-    console.log(`📧 Preparing to send email with ${attachments?.length || 0} attachments`);
+  // Applies a reviewer's confirmation/corrections and runs the regular property write path
+  resolveReview: async ({ objectTypeId, recordId }, { corrections = {}, reviewedBy = null } = {}) => {
+    const item = await review.getReview(objectTypeId, recordId);
+    if (!item) return { success: false, status: 404, error: `No review found for record: ${objectTypeId}/${recordId}` };
+    if (item.status !== REVIEW_STATUS.PENDING) {
+      return { success: false, status: 409, error: `Review for record ${recordId} is already ${item.status}` };
+    }
 
-    // Validate inputs
-    if (!attachments || attachments.length === 0) {
-      throw new Error('No attachments provided');
+    const knownFields = Object.keys(item.extractedData);
+    const unknownFields = Object.keys(corrections).filter(field => !knownFields.includes(field));
+    if (unknownFields.length) {
+      return { success: false, status: 400, error: `Unknown field(s): ${unknownFields.join(', ')}` };
     }
 
-    if (!tempFiles || tempFiles.length === 0) {
-      throw new Error('No temp files provided for cleanup');
+    const { data, validationErrors } = validateExtractedData(item.docType, { ...item.extractedData, ...corrections });
+    if (validationErrors.length) {
+      return { success: false, status: 400, error: ERROR_MESSAGES.VALIDATION_FAILED, validationErrors };
     }
 
-    // Send email with attachments
-    emailResult = await email.sendEmailWithAttachments(
-      config.EMAIL_CONFIG.sendTo,
-      'Document Analysis Report',
-      `Please find the attached documents for your review. Total documents: ${attachments.length}`,
-      attachments
-    );
+    const individualProperties = hubspot.buildIndividualProperties(data, item.docType, item.objectTypeId);
+    await hubspot.updateProperties(item.objectTypeId, recordId, {
+      [config.HUBSPOT_CONFIG.properties.extractedData]: data,
+      ...individualProperties,
+      ...permits.buildPermitProperties(item.docType, data),
+      [config.HUBSPOT_CONFIG.properties.reviewStatus]: REVIEW_STATUS.REVIEWED
+    });
+    const updates = Object.keys(individualProperties).map(property => ({ property, success: true }));
+
+    const completed = await review.completeReview(objectTypeId, recordId, { extractedData: data, reviewedBy });
+    console.log(`✅ Review completed for record ${recordId}${reviewedBy ? ` by ${reviewedBy}` : ''}`);
 
-    console.log('✅ Email sent successfully, cleaning up temporary files');
+    return { success: true, review: completed, updates };
+  },
 
-    // Cleanup temporary files after successful email send
-    cleanupSuccess = await utils.cleanupTempFiles(tempFiles);
+  // The deal's service documents (selected by DOCUMENT_BUNDLE_CONFIG.selectionRule) to its contact's team
+  processDealDocumentsEvent: async (event) => {
+    console.log('🔔 Webhook received for deal property change:', event);
 
-    console.log('✅ Temporary files cleaned up successfully');
+    const result = await documentBundle.sendDocumentBundle({ dealId: event.objectId });
+    // Deals without services or selected documents have nothing to send; retrying will not change that
+    if (!result.success && [404, 422].includes(result.status)) {
+      return { skipped: true, message: result.error, dealId: result.dealId };
+    }
+    if (!result.success) throw new Error(result.error);
 
+    console.log(`✅ Service documents ${result.skipped ? 'already sent' : 'sent'} for deal: ${result.dealId}`);
     return {
-      success: true,
-      emailResult: emailResult,
-      summary: {
-        attachmentsSent: attachments.length,
-        tempFilesCleaned: tempFiles.length,
-        recipient: config.EMAIL_CONFIG.sendTo,
-        contactId,
-        dealId
-      }
+      message: `Service documents ${result.skipped ? 'already sent' : 'sent'} for deal: ${result.dealId}`,
+      contactId: result.contactId,
+      dealId: result.dealId,
+      emailId: result.email?.emailId ?? null,
+      totalServices: result.services.length
     };
+  }
+};
 
-  } catch (error) {
-    console.error('Error in sendServiceDocumentsEmail:', error);
+// Webhook routing: first matching route handles the event
+const webhookRoutes = [
+  {
+    name: 'serviceDocumentsEmail',
+    matches: (event) => event.subscriptionType === 'deal.propertyChange' &&
+      event.propertyName === config.HUBSPOT_CONFIG.properties.webhookProperty,
+    handle: (event) => services.processDealDocumentsEvent(event)
+  },
+  {
+    name: 'documentAnalysis',
+    matches: (event) => Boolean(event.subscriptionType?.endsWith('.propertyChange') && event.propertyValue),
+    handle: (event) => services.processDocumentEvent(event)
+  }
+];
 
-    // Attempt cleanup even if email fails
-    try {
-      if (tempFiles && tempFiles.length > 0) {
-        console.log('🔄 Attempting emergency cleanup of temporary files');
-        await utils.cleanupTempFiles(tempFiles);
-        cleanupSuccess = true;
-        console.log('✅ Emergency cleanup completed');
-      }
-    } catch (cleanupError) {
-      console.error('❌ Error during emergency cleanup:', cleanupError);
-    }
+// Handles a queued webhook delivery; throwing makes the job queue retry it
+const handleWebhookJob = async (webhookData) => {
+  const summary = await services.processWebhookData(webhookData);
+  console.log(`📊 Webhook batch: ${summary.processed} processed, ${summary.skipped} skipped, ${summary.failed} failed`);
 
-    return {
-      success: false,
-      error: error.message,
-      emailResult: emailResult,
-      cleanupSuccess: cleanupSuccess,
-      attachmentsAttempted: attachments ? attachments.length : 0
-    };
+  if (summary.failed > 0) {
+    const failedIds = summary.results.filter(r => r.status === 'failed').map(r => r.eventId);
+    throw new Error(`${summary.failed} of ${summary.total} event(s) failed: ${failedIds.join(', ')}`);
   }
+  return summary;
 };
 
+
 // Routes
 app.get('/', (req, res) => res.json({
   message: 'Document Analysis API',
   version: '1.0.0',
-  environment: config.NODE_ENV
+  environment: config.NODE_ENV,
+  email: email.getEmailTransportStatus()
 }));
 
-// Webhook Route (uses direct function calls)
-app.post('/webhook/hubspot', async (req, res) => {
+app.get('/api/document-types', (req, res) => res.json({
+  defaultDocType: config.DOCUMENT_CONFIG.defaultDocType,
+  documentTypes: schemaRegistry.listDocumentTypes()
+}));
+
+// Human review queue (extracted personal data, so behind the API secret)
+app.get('/api/review', requireApiSecret, async (req, res) => {
   try {
-    const webhookData = req.body;
+    const status = req.query.status === 'all' ? null : (req.query.status || REVIEW_STATUS.PENDING);
+    const reviews = await review.listReviews(status);
+    res.status(200).json({ count: reviews.length, reviews });
+  } catch (error) {
+    console.error('Error in /api/review:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (webhookData[0].propertyName == config.HUBSPOT_CONFIG.properties.webhookProperty &&
-      webhookData[0].subscriptionType == "deal.propertyChange") {
-      console.log('🔔 Webhook received for deal property change:', webhookData);
+// The object type comes from the path or, on /api/review/:recordId, from the body
+const resolveReviewRoute = async (req, res) => {
+  try {
+    const { corrections = {}, reviewedBy = null } = req.body || {};
+    const objectTypeId = req.params.objectTypeId ?? req.body?.objectTypeId;
 
-      res.status(200).json({
-        status: 'success',
-        message: 'Webhook received, background process completed',
-      })
+    if (!objectTypeId) {
+      return res.status(400).json({ error: 'objectTypeId is required' });
+    }
+    if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+      return res.status(400).json({ error: 'corrections must be an object of field values' });
+    }
 
-      const dealContact = await hubspot.fetchHubSpotAssociatedData(
-        config.HUBSPOT_CONFIG.objectTypes.deal,
-        webhookData[0].objectId,
-        config.HUBSPOT_CONFIG.objectTypes.contact,
-        1
-      );
-      console.log('🔗 Associated contact fetched for deal:', dealContact);
+    const result = await services.resolveReview({ objectTypeId, recordId: req.params.recordId }, { corrections, reviewedBy });
+    res.status(result.success ? 200 : result.status).json(result);
+  } catch (error) {
+    console.error(`Error in ${req.path}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
 
-      if (dealContact.results.length > 0) {
-        const contactId = dealContact.results[0].toObjectId;
-        console.log(`🚀 Starting background process for contact: ${contactId}`);
+app.post('/api/review/:objectTypeId/:recordId', requireApiSecret, resolveReviewRoute);
+app.post('/api/review/:recordId', requireApiSecret, resolveReviewRoute);
 
-        // Call function directly instead of internal API
-        await fetchContactServiceDetails(contactId);
+// Webhook Route (persists each delivery as a job; the worker does the processing, or the
+// request itself when JOB_QUEUE_CONFIG.processInline)
+app.post('/webhook/hubspot', verifyHubSpotSignature, async (req, res) => {
+  try {
+    const webhookData = req.body;
 
-        console.log(`✅ Background process completed for contact: ${contactId}`);
+    if (!Array.isArray(webhookData) || webhookData.length === 0) {
+      return res.status(400).json({ error: ERROR_MESSAGES.INVALID_WEBHOOK });
+    }
 
-        return;
+    if (config.JOB_QUEUE_CONFIG.processInline) {
+      // A failure goes back to HubSpot, whose redelivery is the retry
+      const job = await jobs.runJobInline(JOB_TYPES.HUBSPOT_WEBHOOK, webhookData);
+      if (job.status !== JOB_STATUS.COMPLETED) {
+        return res.status(500).json({ error: 'Webhook processing failed: ' + job.lastError, jobId: job.id });
       }
-    } else {
-      // Regular processing (fast operations)
-      res.status(200).json({
-        status: 'success',
-        message: 'Webhook received, completed...'
-      });
-      await services.processWebhookData(webhookData);
-      return;
+      return res.status(200).json({ status: 'success', message: 'Webhook processed', jobId: job.id });
     }
 
+    const job = await jobs.enqueueJob(JOB_TYPES.HUBSPOT_WEBHOOK, webhookData);
+    console.log(`📥 Webhook queued as job ${job.id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Webhook received and queued for processing',
+      jobId: job.id
+    });
   } catch (error) {
     console.error('Webhook processing error:', error);
     res.status(500).json({ error: 'Webhook processing failed: ' + error.message });
   }
 });
 
-// Keep the API routes for external calls if needed, but webhook uses direct functions
-app.post('/api/services/fetch-service-details', async (req, res) => {
+app.get('/api/jobs/:id', requireApiSecret, async (req, res) => {
   try {
-    const { contactId } = req.body;
+    const job = await jobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    res.status(200).json(job);
+  } catch (error) {
+    console.error('Error in /api/jobs/:id:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!contactId) {
-      return res.status(400).json({ error: 'contactId is required' });
-    }
+// Drains the queue on demand where no long-lived worker runs; Vercel cron calls GET /api/cron/jobs
+const processJobs = async (req, res) => {
+  try {
+    const processed = await jobs.processPendingJobs({ maxJobs: parseInt(req.query.limit) || 10 });
+    res.status(200).json({ success: true, processed });
+  } catch (error) {
+    console.error(`Error in ${req.path}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
 
-    const result = await fetchContactServiceDetails(contactId);
+app.post('/api/jobs/process', requireApiSecret, processJobs);
+app.get('/api/cron/jobs', requireApiSecret, processJobs);
 
-    if (result.success) {
-      res.status(200).json(result);
-    } else {
-      res.status(404).json(result);
+// Permits expiring within the next N days (default 90); includeExpired=true adds overdue ones
+app.get('/api/permits/expiring', requireApiSecret, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 90 : parseInt(req.query.days);
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ error: 'days must be a non-negative integer' });
     }
 
+    const expiring = await permits.listExpiring({ days, includeExpired: req.query.includeExpired === 'true' });
+    res.status(200).json({ success: true, days, count: expiring.length, permits: expiring });
   } catch (error) {
-    console.error('Error in /api/services/fetch-service-details:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('Error in /api/permits/expiring:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/services/process-files', async (req, res) => {
+// Cron entry point (Vercel cron issues GET with "Authorization: Bearer <CRON_SECRET>")
+app.get('/api/cron/permit-reminders', requireApiSecret, async (req, res) => {
   try {
-    const { serviceDetails, contactId, dealId } = req.body;
+    const result = await permits.runReminders();
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error in /api/cron/permit-reminders:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!serviceDetails || !Array.isArray(serviceDetails)) {
-      return res.status(400).json({ error: 'serviceDetails array is required' });
-    }
+// Deletion record for document copies (provider uploads, temp files), e.g. for retention audits
+app.get('/api/artifacts/deletions', requireApiSecret, async (req, res) => {
+  try {
+    const deletions = await artifacts.listDeletions({ since: req.query.since || null });
+    res.status(200).json({ success: true, count: deletions.length, deletions });
+  } catch (error) {
+    console.error('Error in /api/artifacts/deletions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const result = await processServiceFiles(serviceDetails, contactId, dealId);
+// Runs the orphan sweep on demand where no long-lived sweeper runs; Vercel cron calls GET /api/cron/artifact-sweep
+const sweepArtifacts = async (req, res) => {
+  try {
+    const result = await artifacts.sweepArtifacts();
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error(`Error in ${req.path}:`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
 
-    if (result.success) {
-      res.status(200).json(result);
-    } else {
-      res.status(400).json(result);
-    }
+app.post('/api/artifacts/sweep', requireApiSecret, sweepArtifacts);
+app.get('/api/cron/artifact-sweep', requireApiSecret, sweepArtifacts);
 
+// Send history of the templated emails, newest first (recipients and subjects, so behind the API secret)
+app.get('/api/emails', requireApiSecret, async (req, res) => {
+  try {
+    const emails = await emailHistory.listEmails({ contactId: req.query.contactId || null, dealId: req.query.dealId || null });
+    res.status(200).json({ success: true, count: emails.length, emails });
   } catch (error) {
-    console.error('Error in /api/services/process-files:', error);
-    res.status(500).json({
+    console.error('Error in /api/emails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Sends the failed emails (chunks) of one send again
+app.post('/api/emails/:id/retry', requireApiSecret, async (req, res) => {
+  try {
+    const result = await emailHistory.retryEmail(req.params.id);
+    res.status(result.success ? 200 : result.status).json(result);
+  } catch (error) {
+    console.error('Error in /api/emails/:id/retry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download links from emails (services/downloadLinks.js); public, the signed token is the access check
+app.get('/api/downloads/:token', async (req, res) => {
+  const link = downloadLinks.verifyDownloadToken(req.params.token);
+  if (!link.valid) {
+    return res.status(link.reason === 'expired' ? 410 : 404).json({
       success: false,
-      error: error.message
+      error: link.reason === 'expired' ? 'This download link has expired' : 'Unknown download link'
     });
   }
+  try {
+    const signedUrl = await hubspot.getSignedFileUrl(link.fileId);
+    console.log(`⬇️ Download of file ${link.fileId} (${link.filename})`);
+    res.set('Cache-Control', 'no-store').redirect(302, signedUrl);
+  } catch (error) {
+    console.error('Error in /api/downloads:', error);
+    res.status(502).json({ success: false, error: 'The file is not available right now' });
+  }
 });
 
-app.post('/api/services/send-email', async (req, res) => {
-  try {
-    const { attachments, tempFiles, contactId, dealId } = req.body;
+// Document bundle routes (services/documentBundle.js); the deal webhook runs the same flow
+const sendBundleResponse = (res, result) => res.status(result.success ? 200 : result.status).json(result);
 
-    if (!attachments || !Array.isArray(attachments)) {
-      return res.status(400).json({ error: 'attachments array is required' });
-    }
+// Downloaded files as deliverBundle takes them: { fileId, path, filename? }
+const isAttachment = (attachment) => attachment !== null && typeof attachment === 'object' &&
+  ['string', 'number'].includes(typeof attachment.fileId) && utils.isDownloadedFile(attachment.path) &&
+  ['string', 'undefined'].includes(typeof attachment.filename);
 
-    if (!tempFiles || !Array.isArray(tempFiles)) {
-      return res.status(400).json({ error: 'tempFiles array is required' });
+app.post('/api/services/fetch-service-details', async (req, res) => {
+  try {
+    const { contactId, dealId, force = false } = req.body;
+    if (!contactId && !dealId) {
+      return res.status(400).json({ success: false, error: 'contactId or dealId is required' });
     }
+    sendBundleResponse(res, await documentBundle.sendDocumentBundle({ contactId, dealId, force: force === true }));
+  } catch (error) {
+    console.error('Error in /api/services/fetch-service-details:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const result = await sendServiceDocumentsEmail(attachments, tempFiles, contactId, dealId);
-
-    if (result.success) {
-      res.status(200).json(result);
-    } else {
-      res.status(400).json(result);
+// Same flow for service records the caller already has (id and properties)
+app.post('/api/services/process-files', async (req, res) => {
+  try {
+    const { serviceDetails, contactId, dealId, force = false } = req.body;
+    if (!serviceDetails || !Array.isArray(serviceDetails)) {
+      return res.status(400).json({ success: false, error: 'serviceDetails array is required' });
     }
+    sendBundleResponse(res, await documentBundle.sendDocumentBundle({ services: serviceDetails, contactId, dealId, force: force === true }));
+  } catch (error) {
+    console.error('Error in /api/services/process-files:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+// Only the delivery step, for files already downloaded to this instance. It reads and deletes
+// the given paths, so only files from downloadAndSaveFile are accepted.
+app.post('/api/services/send-email', requireApiSecret, async (req, res) => {
+  try {
+    const { attachments, tempFiles = [], contactId, dealId, force = false } = req.body;
+    if (!Array.isArray(attachments) || !attachments.every(isAttachment)) {
+      return res.status(400).json({ success: false, error: 'attachments must be an array of { fileId, path, filename? } with paths of downloaded files' });
+    }
+    if (!Array.isArray(tempFiles) || !tempFiles.every(utils.isDownloadedFile)) {
+      return res.status(400).json({ success: false, error: 'tempFiles must be an array of paths of downloaded files' });
+    }
+    sendBundleResponse(res, await documentBundle.deliverBundle({ attachments, tempFiles, contactId, dealId, force: force === true }));
   } catch (error) {
     console.error('Error in /api/services/send-email:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -536,22 +680,29 @@ app.post('/api/services/send-email', async (req, res) => {
 app.post('/api/send-email', async (req, res) => {
   console.log('📥 /api/send-email called with body:', req.body);
   try {
-    const result = await services.sendEmailWithAttachments(req);
-    console.log('✅ Email sent successfully with result:', result);
-    res.status(200).json(result);
+    const { contactId, dealId, force = false } = req.body;
+    if (!contactId && !dealId) {
+      return res.status(400).json({ success: false, error: 'contactId or dealId is required' });
+    }
+    sendBundleResponse(res, await documentBundle.sendDocumentBundle({ contactId, dealId, force: force === true }));
   } catch (error) {
-    console.error('Email error:', error);
-    res.status(500).json({
-      error: 'Failed to process and send email',
-      details: error.message
-    });
+    console.error('Error in /api/send-email:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Start server
-app.listen(config.PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${config.PORT}`);
+// Job handlers
+jobs.registerJobHandler(JOB_TYPES.HUBSPOT_WEBHOOK, handleWebhookJob);
+
+// Start server (NODE_ENV=test leaves starting to the caller, e.g. on a random port next to the HubSpot mock)
+export const startServer = (port = config.PORT) => app.listen(port, function () {
+  console.log(`🚀 Server running on http://localhost:${this.address().port}`);
   console.log(`Environment: ${config.NODE_ENV}`);
+  jobs.startJobWorker();
+  artifacts.startArtifactSweeper();
+  permits.startPermitScheduler();
 });
 
+if (config.NODE_ENV !== 'test') startServer();
+
 export default app;
\ No newline at end of file
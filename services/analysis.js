@@ -1,63 +1,259 @@
 // services/analysis.js
-import OpenAI from "openai";
-import fs from "fs";
 import config from '../config/index.js';
-import { ANALYSIS_PROMPT } from '../config/constants.js';
-import {
-    cleanJSONResponse,
-    downloadFile,
-    cleanupFile,
-    generateTempPath
-} from '../utils/helpers.js';
-
-const client = new OpenAI({ apiKey: config.OPENAI_API_KEY });
-
-export const analyzeImage = async (url) => {
-    const response = await client.chat.completions.create({
-        model: config.OPENAI_CONFIG.model,
-        messages: [{
-            role: "user",
-            content: [
-                { type: "text", text: ANALYSIS_PROMPT },
-                { type: "image_url", image_url: { url } }
-            ]
-        }],
-        max_tokens: config.OPENAI_CONFIG.maxTokens,
-        response_format: { type: "json_object" }
-    });
+import { CLASSIFICATION_PROMPT, DOCUMENT_CLASSES, ERROR_MESSAGES, FIELD_CONFIDENCE_INSTRUCTION, PAGES_INSTRUCTION } from '../config/constants.js';
+import { getDocumentSchema } from './schemaRegistry.js';
+import { validateExtractedData } from './validation.js';
+import { LLM_PROVIDERS, getProvider, isProviderUnavailable } from './llmProviders.js';
+import { MRZ_DOC_TYPES, extractDocument as extractWithMrz } from './mrzExtraction.js';
+import { extractDocument as extractWithStub } from './stubExtraction.js';
+import { deleteUploads, trackUpload } from './artifacts.js';
+
+export const ANALYSIS_BACKENDS = [...LLM_PROVIDERS, 'mrz'];
+
+// The configured backends in the order they are tried. A webhook may pick one of these for its
+// document, never a backend outside the chain (the stub is only known when ANALYSIS_STUB_ENABLED).
+// Worth another attempt later: the backend was unreachable, overloaded, refused the key or timed
+// out. Anything else (no MRZ, cut-off output, no backend for the type) fails the same way again.
+export const isTransientAnalysisError = (error) =>
+    isProviderUnavailable(error) ||
+    ['AbortError', 'TimeoutError'].includes(error?.name) ||
+    ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error?.code ?? error?.cause?.code);
+
+export const getBackendChain = () => [config.ANALYSIS_CONFIG.backend, ...config.ANALYSIS_CONFIG.fallbacks];
+
+const isKnownBackend = (name) => ANALYSIS_BACKENDS.includes(name) || (name === 'stub' && config.ANALYSIS_CONFIG.stubEnabled);
 
-    return JSON.parse(cleanJSONResponse(response.choices[0].message.content));
+const CLASSIFICATION_SCHEMA = {
+    type: "object",
+    properties: {
+        documentClass: { type: "string", enum: Object.keys(DOCUMENT_CLASSES) },
+        confidence: { type: "number", description: "0 to 1" },
+        reason: { type: "string" }
+    },
+    required: ["documentClass", "confidence", "reason"],
+    additionalProperties: false
 };
 
-export const analyzePDF = async (url) => {
-    const tempPath = generateTempPath(".pdf");
+const toConfidence = (value) => Math.min(Math.max(Number(value) || 0, 0), 1);
+
+// One entry per page of every source: the document's own fields as read from that
+// page, a fieldConfidence object (0-1 per field) and where the page came from
+const withPages = (schema) => {
+    const fields = Object.keys(schema.properties);
+    return {
+        type: "object",
+        properties: {
+            pages: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        source: { type: "integer" },
+                        page: { type: "integer" },
+                        relevant: { type: "boolean" },
+                        ...schema.properties,
+                        fieldConfidence: {
+                            type: "object",
+                            properties: Object.fromEntries(fields.map(field => [field, { type: "number" }])),
+                            required: fields,
+                            additionalProperties: false
+                        }
+                    },
+                    required: ["source", "page", "relevant", ...fields, "fieldConfidence"],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ["pages"],
+        additionalProperties: false
+    };
+};
+
+// Calls fn with the provider's message parts for every document ({ url, fileType, fileId }),
+// each labelled with its 1-based source number. Provider-side uploads are deleted once fn is
+// done, whatever the outcome; ones that fail to delete are left to the artifact sweep.
+const withDocumentParts = async (provider, documents, fn) => {
+    const uploadedFileIds = [];
     try {
-        await downloadFile(url, tempPath);
-        const uploadedFile = await client.files.create({
-            file: fs.createReadStream(tempPath),
-            purpose: "assistants",
+        const parts = [];
+        for (const [index, document] of documents.entries()) {
+            parts.push({ type: "text", text: `Source ${index + 1} (${document.fileType}):` });
+            const documentParts = await provider.documentParts(document);
+            for (const uploadedFileId of documentParts.uploadedFileIds) {
+                uploadedFileIds.push(uploadedFileId);
+                await trackUpload(provider.name, uploadedFileId, { hubspotFileId: document.fileId ?? null });
+            }
+            parts.push(...documentParts.parts);
+        }
+        return await fn(parts);
+    } finally {
+        await deleteUploads(provider.name, uploadedFileIds).catch(error => {
+            console.error(`Error deleting ${provider.name} uploads:`, error);
         });
+    }
+};
 
-        const response = await client.chat.completions.create({
-            model: config.OPENAI_CONFIG.model,
-            messages: [{
-                role: "user",
-                content: [
-                    { type: "text", text: ANALYSIS_PROMPT },
-                    { type: "file", file: { file_id: uploadedFile?.id } },
-                ]
-            }],
-            max_tokens: config.OPENAI_CONFIG.maxTokens,
-            response_format: { type: "json_object" }
-        });
+// Merges per-page candidates into one record. Precedence per field: the valid value with
+// the highest confidence wins; ties go to the earlier source, then the earlier page
+// (front before back). Validation errors are only reported for fields left empty.
+const mergePages = (fields, candidates) => {
+    const ordered = [...candidates].sort((a, b) => a.source - b.source || a.page - b.page);
+    const data = {};
+    const fieldConfidence = {};
+    const fieldSources = {};
+    const validationErrors = [];
 
-        return JSON.parse(cleanJSONResponse(response?.choices[0]?.message?.content));
-    } finally {
-        cleanupFile(tempPath);
+    for (const field of fields) {
+        let best = null;
+        for (const candidate of ordered) {
+            const value = candidate.data[field];
+            if (value === null || value === undefined) continue;
+            const confidence = toConfidence(candidate.confidence?.[field]);
+            if (!best || confidence > best.confidence) best = { value, confidence, candidate };
+        }
+
+        data[field] = best?.value ?? null;
+        fieldConfidence[field] = best?.confidence ?? 0;
+        fieldSources[field] = best
+            ? { source: best.candidate.source, fileId: best.candidate.fileId, page: best.candidate.page }
+            : null;
+
+        if (!best) {
+            for (const candidate of ordered) {
+                candidate.validationErrors
+                    .filter(error => error.field === field)
+                    .forEach(error => validationErrors.push({
+                        ...error,
+                        source: candidate.source,
+                        fileId: candidate.fileId,
+                        page: candidate.page
+                    }));
+            }
+        }
+    }
+
+    return { data, fieldConfidence, fieldSources, validationErrors };
+};
+
+// Returns { data, fieldConfidence, fieldSources, validationErrors, droppedKeys, pages };
+// data only holds schema fields that passed validation on at least one relevant page
+const extractFields = async (provider, documentParts, docType, documents) => {
+    const documentSchema = getDocumentSchema(docType);
+    const { pages = [] } = await provider.complete(
+        `${documentSchema.prompt}\n\n${PAGES_INSTRUCTION}\n\n${FIELD_CONFIDENCE_INSTRUCTION}`,
+        documentParts,
+        `${documentSchema.docType}_extraction`,
+        withPages(documentSchema.schema)
+    );
+
+    const droppedKeys = new Set();
+    const candidates = pages.filter(page => page.relevant).map(({ source, page, relevant, fieldConfidence, ...rawData }) => {
+        const validation = validateExtractedData(documentSchema.docType, rawData);
+        validation.droppedKeys.forEach(key => droppedKeys.add(key));
+        return {
+            source,
+            page,
+            fileId: documents[source - 1]?.fileId ?? null,
+            data: validation.data,
+            confidence: fieldConfidence,
+            validationErrors: validation.validationErrors
+        };
+    });
+
+    const merged = mergePages(Object.keys(documentSchema.schema.properties), candidates);
+    const pageSummary = pages.map(({ source, page, relevant }) => ({ source, page, relevant }));
+
+    console.log(`📑 Extracted ${candidates.length} relevant of ${pages.length} page(s) from ${documents.length} source(s)`);
+    if (droppedKeys.size) console.warn(`🧹 Dropped unknown keys: ${[...droppedKeys].join(', ')}`);
+    if (merged.validationErrors.length) console.warn(`⚠️ ${merged.validationErrors.length} field value(s) failed validation`);
+    return { ...merged, droppedKeys: [...droppedKeys], pages: pageSummary };
+};
+
+const classifyParts = async (provider, documentParts) => {
+    const result = await provider.complete(CLASSIFICATION_PROMPT, documentParts, "document_classification", CLASSIFICATION_SCHEMA);
+    return {
+        documentClass: result.documentClass,
+        docType: DOCUMENT_CLASSES[result.documentClass] ?? null,
+        confidence: toConfidence(result.confidence),
+        reason: result.reason
+    };
+};
+
+// Classifies unless docType is known, then extracts and validates with the matching schema
+const analyzeWithLlm = (provider, documents, { docType = null } = {}) =>
+    withDocumentParts(provider, documents, async (parts) => {
+        const { classificationEnabled, defaultDocType, minClassificationConfidence } = config.DOCUMENT_CONFIG;
+        const knownDocType = docType || (classificationEnabled ? null : defaultDocType);
+        let classification = null;
+
+        if (!knownDocType) {
+            classification = await classifyParts(provider, parts);
+            console.log(`🏷️ Classified document as ${classification.documentClass} (${classification.confidence})`);
+
+            if (!classification.docType || classification.confidence < minClassificationConfidence) {
+                return {
+                    docType: classification.docType,
+                    classification,
+                    extractedData: null,
+                    fieldConfidence: {},
+                    fieldSources: {},
+                    validationErrors: [],
+                    pages: []
+                };
+            }
+        }
+
+        const resolvedDocType = knownDocType || classification.docType;
+        const { data, fieldConfidence, fieldSources, validationErrors, pages } = await extractFields(provider, parts, resolvedDocType, documents);
+        return {
+            docType: resolvedDocType,
+            classification,
+            extractedData: data,
+            fieldConfidence,
+            fieldSources,
+            validationErrors,
+            pages
+        };
+    });
+
+const runBackend = async (backend, documents, { docType }) => {
+    if (backend === 'mrz') return extractWithMrz(documents, { docType });
+    if (backend === 'stub') return extractWithStub(documents, { docType });
+    const provider = getProvider(backend);
+    return { ...await analyzeWithLlm(provider, documents, { docType }), backend: provider.name, model: provider.model };
+};
+
+// Analyzes one logical document spread over one or more files ({ url, fileType, fileId },
+// e.g. front and back scans or a multi-page PDF). extractedData is null when the upload is
+// unrelated or unclear. Backends run in ANALYSIS_CONFIG order (backend, then fallbacks) until
+// one is available; an explicit backend (one of the chain) runs alone. The result says which
+// backend produced it.
+export const analyzeDocument = async (documents, { docType = null, backend = null } = {}) => {
+    if (backend && !getBackendChain().includes(backend)) {
+        throw new Error(`${ERROR_MESSAGES.ANALYSIS_BACKEND_NOT_CONFIGURED}: ${backend}`);
+    }
+    const chain = backend ? [backend] : getBackendChain();
+    const unknown = chain.find(name => !isKnownBackend(name));
+    if (unknown) throw new Error(`${ERROR_MESSAGES.UNKNOWN_ANALYSIS_BACKEND}: ${unknown}`);
+
+    // MRZ only covers identity documents; skip it for other known types
+    const usable = chain.filter(name => name !== 'mrz' || !docType || MRZ_DOC_TYPES.includes(docType));
+    if (!usable.length) throw new Error(`No analysis backend supports document type: ${docType}`);
+
+    for (const [index, name] of usable.entries()) {
+        try {
+            return await runBackend(name, documents, { docType });
+        } catch (error) {
+            const next = usable[index + 1];
+            if (!next || !isProviderUnavailable(error)) throw error;
+            console.warn(`🔁 ${name} unavailable (${error.status || error.message}), falling back to ${next}`);
+        }
     }
 };
 
 export default {
-    analyzeImage,
-    analyzePDF
-};
\ No newline at end of file
+    ANALYSIS_BACKENDS,
+    getBackendChain,
+    isTransientAnalysisError,
+    analyzeDocument
+};
@@ -0,0 +1,174 @@
+// services/artifacts.js
+// Lifecycle of document copies kept outside HubSpot: files uploaded to LLM providers and
+// local temp files. Uploads are tracked until deleted after extraction; the sweep removes
+// whatever a crash or failed delete left behind once it is older than ARTIFACT_CONFIG.ttlMs.
+// Every deletion is logged for the data-retention record.
+import fs from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+import config from '../config/index.js';
+import { createFileStore } from '../utils/fileStore.js';
+import { LLM_PROVIDERS, UPLOAD_FILENAME_PREFIX, LEGACY_UPLOAD_PATTERN, getProvider } from './llmProviders.js';
+
+const fsAsync = fs.promises;
+const store = createFileStore('artifacts', { uploads: {}, deletions: [] });
+let sweepTimer = null;
+
+// Temp files written by utils/helpers.js (downloadAndSaveFile, generateTempPath)
+const TEMP_FILE_LOCATIONS = [
+    { dir: tmpdir(), pattern: /^hubspot_file_/ },
+    { dir: '/tmp', pattern: /^file_\d+_[a-z0-9]+\.[a-z]+$/ }
+];
+
+const uploadKey = (provider, fileId) => `${provider}:${fileId}`;
+
+const isOwnUpload = (file) => file.filename?.startsWith(UPLOAD_FILENAME_PREFIX) || LEGACY_UPLOAD_PATTERN.test(file.filename || '');
+
+const recordDeletions = async (entries) => {
+    if (!entries.length) return;
+    await store.update(data => {
+        const cutoff = Date.now() - config.ARTIFACT_CONFIG.deletionLogRetentionMs;
+        const deletedAt = new Date().toISOString();
+        data.deletions = [
+            ...data.deletions.filter(entry => Date.parse(entry.deletedAt) >= cutoff),
+            ...entries.map(entry => ({ ...entry, deletedAt }))
+        ];
+        for (const entry of entries) {
+            if (entry.kind === 'upload') delete data.uploads[uploadKey(entry.provider, entry.id)];
+        }
+    });
+};
+
+// context says whose document this is, e.g. { hubspotFileId }
+export const trackUpload = (provider, fileId, context = {}) => store.update(data => {
+    data.uploads[uploadKey(provider, fileId)] = { provider, fileId, context, uploadedAt: new Date().toISOString() };
+});
+
+// Deletes provider-side copies; failures stay tracked so the next sweep retries them.
+// Returns the ids that are gone (deleted now or already missing).
+export const deleteUploads = async (providerName, fileIds, reason = 'after_extraction') => {
+    if (!fileIds.length) return [];
+    const provider = getProvider(providerName);
+    const { uploads } = await store.read();
+
+    const results = await Promise.all(fileIds.map(async (fileId) => {
+        try {
+            await provider.deleteUploadedFile(fileId);
+            return fileId;
+        } catch (error) {
+            if (error?.status === 404) return fileId;
+            console.warn(`⚠️ Could not delete ${providerName} file ${fileId}: ${error.message}`);
+            return null;
+        }
+    }));
+
+    const deleted = results.filter(Boolean);
+    await recordDeletions(deleted.map(fileId => ({
+        kind: 'upload',
+        provider: providerName,
+        id: fileId,
+        reason,
+        context: uploads[uploadKey(providerName, fileId)]?.context ?? null
+    })));
+    if (deleted.length) console.log(`🗑️ Deleted ${deleted.length} ${providerName} upload(s) (${reason})`);
+    return deleted;
+};
+
+// Untracked uploads of ours (e.g. from before tracking existed) found in the provider account
+const sweepRemoteUploads = async (cutoff, handled) => {
+    let deleted = 0;
+    for (const name of LLM_PROVIDERS) {
+        let provider;
+        try {
+            provider = getProvider(name);
+        } catch {
+            continue; // not configured
+        }
+        if (!provider.listUploadedFiles) continue;
+
+        try {
+            const orphaned = (await provider.listUploadedFiles())
+                .filter(file => isOwnUpload(file) && file.createdAt < cutoff && !handled.has(uploadKey(name, file.id)));
+            deleted += (await deleteUploads(name, orphaned.map(file => file.id), 'ttl_sweep')).length;
+        } catch (error) {
+            // Temp files still get swept; the next run retries the provider
+            console.warn(`⚠️ Could not list ${name} uploads: ${error.message}`);
+        }
+    }
+    return deleted;
+};
+
+const sweepTempFiles = async (cutoff) => {
+    const deletions = [];
+    for (const { dir, pattern } of TEMP_FILE_LOCATIONS) {
+        const names = await fsAsync.readdir(dir).catch(() => []);
+        for (const name of names.filter(item => pattern.test(item))) {
+            const filePath = path.join(dir, name);
+            try {
+                const stats = await fsAsync.stat(filePath);
+                if (!stats.isFile() || stats.mtimeMs >= cutoff) continue;
+                await fsAsync.unlink(filePath);
+                deletions.push({ kind: 'temp_file', provider: null, id: filePath, reason: 'ttl_sweep', context: null });
+            } catch (error) {
+                if (error.code !== 'ENOENT') console.warn(`⚠️ Could not delete temp file ${filePath}: ${error.message}`);
+            }
+        }
+    }
+    await recordDeletions(deletions);
+    return deletions.length;
+};
+
+// Deletes tracked uploads, untracked uploads of ours and temp files older than ttlMs
+export const sweepArtifacts = async ({ ttlMs = config.ARTIFACT_CONFIG.ttlMs } = {}) => {
+    const cutoff = Date.now() - ttlMs;
+    const { uploads } = await store.read();
+    const expired = Object.values(uploads).filter(upload => Date.parse(upload.uploadedAt) < cutoff);
+
+    let uploadsDeleted = 0;
+    for (const provider of new Set(expired.map(upload => upload.provider))) {
+        const fileIds = expired.filter(upload => upload.provider === provider).map(upload => upload.fileId);
+        uploadsDeleted += (await deleteUploads(provider, fileIds, 'ttl_sweep')).length;
+    }
+
+    const handled = new Set(expired.map(upload => uploadKey(upload.provider, upload.fileId)));
+    uploadsDeleted += await sweepRemoteUploads(cutoff, handled);
+    const tempFilesDeleted = await sweepTempFiles(cutoff);
+
+    const remaining = Object.keys((await store.read()).uploads).length;
+    if (uploadsDeleted || tempFilesDeleted) {
+        console.log(`🧹 Artifact sweep removed ${uploadsDeleted} upload(s) and ${tempFilesDeleted} temp file(s)`);
+    }
+    return { uploadsDeleted, tempFilesDeleted, uploadsTracked: remaining };
+};
+
+export const listDeletions = async ({ since = null } = {}) => {
+    const { deletions } = await store.read();
+    const from = since ? Date.parse(since) : 0;
+    return deletions.filter(entry => Date.parse(entry.deletedAt) >= from);
+};
+
+export const startArtifactSweeper = () => {
+    if (sweepTimer || !config.ARTIFACT_CONFIG.sweepEnabled) return;
+
+    const tick = () => sweepArtifacts().catch(error => {
+        console.error('Artifact sweep error:', error);
+    });
+
+    sweepTimer = setInterval(tick, config.ARTIFACT_CONFIG.sweepIntervalMs);
+    tick();
+    console.log(`🧹 Artifact sweeper started (every ${config.ARTIFACT_CONFIG.sweepIntervalMs / 60000}min, TTL ${config.ARTIFACT_CONFIG.ttlMs / 60000}min)`);
+};
+
+export const stopArtifactSweeper = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
+
+export default {
+    trackUpload,
+    deleteUploads,
+    sweepArtifacts,
+    listDeletions,
+    startArtifactSweeper,
+    stopArtifactSweeper
+};
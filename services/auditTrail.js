@@ -0,0 +1,148 @@
+// services/auditTrail.js
+// Leaves a readable entry in HubSpot for every analysis (AUDIT_TRAIL_CONFIG.mode): the outcome,
+// extracted fields with their confidence, the source files and the backend/model that read them.
+// Properties only ever hold the latest values; these entries keep the history, one per analysis.
+// Failures are logged and returned, never thrown: the properties are already written by then.
+import config from '../config/index.js';
+import { REVIEW_STATUS } from '../config/constants.js';
+import * as hubspot from './hubspot.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+const OUTCOME_LABELS = {
+    [REVIEW_STATUS.AUTO_APPROVED]: 'Auto-approved',
+    [REVIEW_STATUS.PENDING]: 'Waiting for review',
+    [REVIEW_STATUS.BLOCKED]: 'Blocked: identity mismatch',
+    rejected: 'Rejected'
+};
+
+const formatConfidence = (confidence) => typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : '-';
+
+const describeModel = ({ backend, model }) => model ? `${backend} (${model})` : backend;
+
+// Name and link of each analyzed file; a missing file does not stop the entry
+const describeFiles = (fileIds) => Promise.all(fileIds.map(async (fileId) => {
+    try {
+        const details = await hubspot.getFileDetails(fileId);
+        const name = details.extension ? `${details.name}.${details.extension}` : details.name;
+        return { fileId: String(fileId), name: name || String(fileId), url: details.url || null };
+    } catch (error) {
+        return { fileId: String(fileId), name: String(fileId), url: null };
+    }
+}));
+
+const buildNoteBody = ({ outcome, message, analysisResult, files, contactId }) => {
+    const { docType, classification, extractedData, fieldConfidence = {}, validationErrors = [] } = analysisResult;
+    const lines = [
+        `<p><strong>Document analysis: ${escapeHtml(docType || classification?.documentClass || 'unknown')}</strong> – ${escapeHtml(OUTCOME_LABELS[outcome] || outcome)}</p>`
+    ];
+    if (message) lines.push(`<p>${escapeHtml(message)}</p>`);
+
+    if (extractedData) {
+        const rows = Object.entries(extractedData).map(([field, value]) =>
+            `<tr><td>${escapeHtml(field)}</td><td>${escapeHtml(value ?? '-')}</td><td>${formatConfidence(fieldConfidence[field])}</td></tr>`);
+        lines.push(`<table><tr><th>Field</th><th>Value</th><th>Confidence</th></tr>${rows.join('')}</table>`);
+    }
+    if (validationErrors.length) {
+        lines.push(`<p>Invalid values (not written): ${validationErrors.map(error => escapeHtml(error.field ? `${error.field}: ${error.message}` : error.message ?? error)).join('; ')}</p>`);
+    }
+    if (classification) {
+        lines.push(`<p>Classified as ${escapeHtml(classification.documentClass)} (${formatConfidence(classification.confidence)})${classification.reason ? `: ${escapeHtml(classification.reason)}` : ''}</p>`);
+    }
+
+    const fileLinks = files.map(file => file.url
+        ? `<a href="${escapeHtml(file.url)}">${escapeHtml(file.name)}</a>`
+        : `${escapeHtml(file.name)} (file ${escapeHtml(file.fileId)})`);
+    lines.push(`<p>Source: ${fileLinks.join(', ')}</p>`);
+    lines.push(`<p>Read by ${escapeHtml(describeModel(analysisResult))}${contactId ? ` · contact ${escapeHtml(contactId)}` : ''}</p>`);
+    return lines.join('');
+};
+
+const findDealIds = async (objectTypeId, recordId) => {
+    const { deal } = config.HUBSPOT_CONFIG.objectTypes;
+    if (objectTypeId === deal) return [String(recordId)];
+    const associations = await hubspot.fetchHubSpotAssociatedData(objectTypeId, recordId, deal);
+    return associations.results.map(result => String(result.toObjectId));
+};
+
+// Records without a contact of their own (e.g. services) use the contact of their first deal
+const findContactId = async (objectTypeId, recordId, dealIds) => {
+    const contactId = await hubspot.getAssociatedContactId(objectTypeId, recordId);
+    if (contactId || !dealIds.length) return contactId;
+    return hubspot.getAssociatedContactId(config.HUBSPOT_CONFIG.objectTypes.deal, dealIds[0]);
+};
+
+// The record itself, its deals and its contact
+const findAssociationTargets = async ({ objectTypeId, recordId, contactId }) => {
+    const { contact, deal } = config.HUBSPOT_CONFIG.objectTypes;
+    const dealIds = await findDealIds(objectTypeId, recordId);
+    const resolvedContactId = contactId ?? await findContactId(objectTypeId, recordId, dealIds);
+
+    const targets = [{ objectTypeId, id: String(recordId) }];
+    if (objectTypeId !== deal) targets.push(...dealIds.map(id => ({ objectTypeId: deal, id })));
+    if (resolvedContactId && objectTypeId !== contact) targets.push({ objectTypeId: contact, id: String(resolvedContactId) });
+    return { targets, contactId: resolvedContactId };
+};
+
+const createNoteEntry = async ({ objectTypeId, recordId, fileIds, contactId, ...details }) => {
+    const { targets, contactId: resolvedContactId } = await findAssociationTargets({ objectTypeId, recordId, contactId });
+    const files = await describeFiles(fileIds);
+    const note = await hubspot.createNote({
+        body: buildNoteBody({ ...details, files, contactId: resolvedContactId }),
+        attachmentIds: config.AUDIT_TRAIL_CONFIG.attachFiles ? fileIds.map(String) : []
+    });
+
+    const associations = [];
+    for (const target of targets) {
+        try {
+            await hubspot.associateRecords('notes', note.id, target.objectTypeId, target.id);
+            associations.push({ ...target, success: true });
+        } catch (error) {
+            associations.push({ ...target, success: false, error: error.message });
+        }
+    }
+    return { type: 'note', id: note.id, associations };
+};
+
+// Template tokens: outcome, docType, backend, model, confidence, fileNames; extraData holds the fields
+const createTimelineEntry = async ({ objectTypeId, recordId, fileIds, contactId, outcome, message, analysisResult }) => {
+    const { contact } = config.HUBSPOT_CONFIG.objectTypes;
+    const objectId = contactId ?? await findContactId(objectTypeId, recordId, await findDealIds(objectTypeId, recordId));
+    if (!objectId) throw new Error(`No contact for ${objectTypeId}/${recordId} to add the timeline event to`);
+
+    const files = await describeFiles(fileIds);
+    const { docType, classification, extractedData, fieldConfidence = {}, validationErrors = [] } = analysisResult;
+    const event = await hubspot.createTimelineEvent({
+        eventTemplateId: config.AUDIT_TRAIL_CONFIG.timelineEventTemplateId,
+        objectId,
+        tokens: {
+            outcome: OUTCOME_LABELS[outcome] || outcome,
+            docType: docType || classification?.documentClass || 'unknown',
+            backend: analysisResult.backend,
+            model: analysisResult.model || '',
+            confidence: classification ? Math.round(classification.confidence * 100) : '',
+            fileNames: files.map(file => file.name).join(', ')
+        },
+        extraData: { message, recordId: String(recordId), objectTypeId, extractedData, fieldConfidence, validationErrors, classification, files }
+    });
+    return { type: 'timeline', id: event?.id ?? null, objectTypeId: contact, objectId: String(objectId) };
+};
+
+// outcome: a REVIEW_STATUS value or 'rejected'. Returns null when the audit trail is off.
+export const recordAnalysis = async ({ objectTypeId, recordId, fileIds, outcome, message = null, analysisResult, contactId = null }) => {
+    const { mode } = config.AUDIT_TRAIL_CONFIG;
+    if (mode === 'off') return null;
+
+    const details = { objectTypeId, recordId, fileIds, outcome, message, analysisResult, contactId };
+    try {
+        const entry = mode === 'timeline' ? await createTimelineEntry(details) : await createNoteEntry(details);
+        console.log(`🗒️ Audit ${entry.type} ${entry.id ?? ''} added for record ${recordId} (${outcome})`);
+        return { success: true, ...entry };
+    } catch (error) {
+        console.error(`Error adding audit ${mode} for record ${recordId}:`, error.message);
+        return { success: false, type: mode, error: error.message };
+    }
+};
+
+export default {
+    recordAnalysis
+};
@@ -0,0 +1,193 @@
+// services/documentBundle.js
+// The service documents of a deal as one emailed bundle: find the deal's service records, pick
+// the ones to send with a selection rule, download their files, email them with the
+// service_documents template (once per bundle unless forced) and remove the downloads again.
+// The deal webhook, /api/send-email and the /api/services/* routes all go through here.
+//
+// A selection rule is { properties, select(service) }: the service properties it reads besides
+// the file id, and whether a service's file belongs in the bundle. Pass a name from
+// SELECTION_RULES or a rule of your own; DOCUMENT_BUNDLE_CONFIG.selectionRule is the default.
+import path from 'path';
+import config from '../config/index.js';
+import * as hubspot from './hubspot.js';
+import * as idempotency from './idempotency.js';
+import * as emailComposer from './emailComposer.js';
+import { cleanupTempFiles, downloadAndSaveFile, mapWithConcurrency } from '../utils/helpers.js';
+
+const DOWNLOAD_CONCURRENCY = 4;
+
+// HubSpot enumerations store "Yes", checkboxes "true"; anything else (including "No") is a no
+const isYes = (value) => ['yes', 'true'].includes(String(value ?? '').trim().toLowerCase());
+
+export const SELECTION_RULES = {
+    // Services whose send_attachment is "Yes"
+    sendAttachment: {
+        properties: [config.HUBSPOT_CONFIG.properties.sendAttachment],
+        select: (service) => isYes(service.properties[config.HUBSPOT_CONFIG.properties.sendAttachment])
+    },
+    // Every service with a file
+    all: {
+        properties: [],
+        select: () => true
+    }
+};
+
+const resolveRule = (rule = config.DOCUMENT_BUNDLE_CONFIG.selectionRule) => {
+    if (typeof rule === 'object' && typeof rule?.select === 'function') return { properties: [], ...rule };
+    if (!SELECTION_RULES[rule]) throw new Error(`Unknown document selection rule: ${rule} (${Object.keys(SELECTION_RULES).join(', ')})`);
+    return SELECTION_RULES[rule];
+};
+
+// Failures carry the HTTP status the routes answer with
+const failure = (status, error, details = {}) => ({ success: false, skipped: false, status, error, ...details });
+
+// Identifies one emailed bundle: the same files (at the same version) for the same deal
+const getBundleKey = (ownerId, files) => idempotency.buildKey(
+    'email',
+    ownerId ?? 'unassigned',
+    ...files.map(file => `${file.fileId}@${file.fileVersion ?? ''}`).sort()
+);
+
+// A missing deal is the contact's first one, a missing contact the deal's
+const resolveDeal = async ({ contactId, dealId }) => {
+    const { contact, deal } = config.HUBSPOT_CONFIG.objectTypes;
+    if (!dealId && contactId) {
+        const contactDeal = await hubspot.fetchHubSpotAssociatedData(contact, contactId, deal, 1);
+        dealId = contactDeal.results[0]?.toObjectId ?? null;
+        if (!dealId) return failure(404, `No deal found for contact: ${contactId}`);
+    }
+    if (!dealId) return failure(400, 'contactId or dealId is required');
+    if (!contactId) contactId = await hubspot.getAssociatedContactId(deal, dealId);
+    return { success: true, contactId: contactId ? String(contactId) : null, dealId: String(dealId) };
+};
+
+const fetchDealServices = async (dealId, rule) => {
+    const { deal, service } = config.HUBSPOT_CONFIG.objectTypes;
+    const dealServices = await hubspot.fetchHubSpotAssociatedData(deal, dealId, service);
+    const serviceIds = dealServices.results.map(item => item.toObjectId);
+    if (!serviceIds.length) return [];
+
+    const properties = [...new Set([config.HUBSPOT_CONFIG.properties.fileId, ...rule.properties])];
+    const serviceDetails = await hubspot.fetchHubSpotBatchRecords(service, serviceIds, properties, false);
+    return serviceDetails.results;
+};
+
+// One entry per service: selected with its file id, or why it is left out
+export const selectServiceFiles = (services, rule) => {
+    const resolved = resolveRule(rule);
+    return services.map(service => {
+        const fileId = service.properties?.[config.HUBSPOT_CONFIG.properties.fileId] || null;
+        if (!fileId) return { serviceId: String(service.id), fileId: null, status: 'no_file' };
+        if (!resolved.select(service)) return { serviceId: String(service.id), fileId: String(fileId), status: 'not_selected' };
+        return { serviceId: String(service.id), fileId: String(fileId), status: 'selected' };
+    });
+};
+
+const downloadServiceFile = async (entry, fileVersion) => {
+    const signedUrl = await hubspot.getSignedFileUrl(entry.fileId);
+    const tempPath = await downloadAndSaveFile(signedUrl, entry.fileId);
+    return {
+        filename: `document_${entry.fileId}${path.extname(new URL(signedUrl).pathname) || '.pdf'}`,
+        path: tempPath,
+        fileId: entry.fileId,
+        fileVersion,
+        serviceId: entry.serviceId
+    };
+};
+
+// Emails downloaded files ({ filename, path, fileId, fileVersion }) once per bundle and removes
+// tempFiles afterwards, sent or not
+export const deliverBundle = async ({ attachments, tempFiles = [], contactId = null, dealId = null, force = false }) => {
+    let bundleKey = null;
+    try {
+        if (!attachments?.length) return failure(422, 'No attachments provided', { bundleKey, email: null });
+        bundleKey = getBundleKey(dealId || contactId, attachments);
+
+        const result = await idempotency.runOnce(
+            bundleKey,
+            () => emailComposer.sendTemplatedEmail('service_documents', {
+                contactId,
+                dealId,
+                attachments,
+                fallbackRecipient: config.EMAIL_CONFIG.sendTo
+            }),
+            {
+                force,
+                describe: (sent) => ({ emailId: sent.emailId, recipients: sent.recipients.map(r => r.to), fileIds: attachments.map(a => a.fileId) })
+            }
+        );
+        if (result?.duplicate) {
+            return { success: true, skipped: true, message: 'These documents were already emailed; pass force to send them again', bundleKey, email: null };
+        }
+        return { success: true, skipped: false, bundleKey, email: result };
+    } catch (error) {
+        console.error('Error sending the document bundle:', error.message);
+        return failure(502, error.message, { bundleKey, email: null });
+    } finally {
+        await cleanupTempFiles(tempFiles);
+    }
+};
+
+// The whole flow for a contact and/or deal. services: service records to use instead of the
+// deal's (with the file id and the rule's properties). Always resolves to
+//   { success, skipped, status?, error?, message?, contactId, dealId, bundleKey,
+//     services: [{ serviceId, fileId, status: sent|skipped|failed|not_selected|no_file|download_failed, error? }],
+//     email: sendTemplatedEmail's result or null }
+export const sendDocumentBundle = async ({ contactId = null, dealId = null, services = null, rule, force = false } = {}) => {
+    const base = { contactId: contactId ? String(contactId) : null, dealId: dealId ? String(dealId) : null, bundleKey: null, services: [], email: null };
+    try {
+        const resolvedRule = resolveRule(rule);
+        if (!services) {
+            const deal = await resolveDeal({ contactId, dealId });
+            if (!deal.success) return { ...base, ...deal };
+            Object.assign(base, { contactId: deal.contactId, dealId: deal.dealId });
+            services = await fetchDealServices(deal.dealId, resolvedRule);
+            if (!services.length) return { ...base, ...failure(404, `No services found for deal: ${deal.dealId}`) };
+        }
+        console.log(`📁 Document bundle for deal ${base.dealId ?? '-'} / contact ${base.contactId ?? '-'}: ${services.length} service(s)`);
+
+        const entries = selectServiceFiles(services, resolvedRule);
+        const selected = entries.filter(entry => entry.status === 'selected');
+        base.services = entries;
+        if (!selected.length) return { ...base, ...failure(422, 'No service documents selected to send') };
+
+        // Skip the downloads entirely when this exact bundle was already emailed
+        const fileVersions = Object.fromEntries(await Promise.all(selected.map(async (entry) =>
+            [entry.fileId, await hubspot.getFileVersion(entry.fileId).catch(() => '')]
+        )));
+        base.bundleKey = getBundleKey(base.dealId || base.contactId, selected.map(entry => ({ fileId: entry.fileId, fileVersion: fileVersions[entry.fileId] })));
+        if (!force && await idempotency.isCompleted(base.bundleKey)) {
+            console.log(`♻️ Bundle already emailed, skipping: ${base.bundleKey}`);
+            selected.forEach(entry => { entry.status = 'skipped'; });
+            return { ...base, success: true, skipped: true, message: 'These documents were already emailed; pass force to send them again' };
+        }
+
+        const downloads = await mapWithConcurrency(selected, DOWNLOAD_CONCURRENCY, async (entry) => {
+            try {
+                return await downloadServiceFile(entry, fileVersions[entry.fileId]);
+            } catch (error) {
+                console.error(`File download failed for fileId: ${entry.fileId}`, error.message);
+                Object.assign(entry, { status: 'download_failed', error: error.message });
+                return null;
+            }
+        });
+        const attachments = downloads.filter(Boolean);
+        const tempFiles = attachments.map(attachment => attachment.path);
+        if (!attachments.length) return { ...base, ...failure(502, 'No valid files were successfully processed') };
+
+        const delivery = await deliverBundle({ attachments, tempFiles, contactId: base.contactId, dealId: base.dealId, force });
+        const deliveryStatus = !delivery.success ? 'failed' : delivery.skipped ? 'skipped' : 'sent';
+        for (const entry of selected.filter(entry => entry.status === 'selected')) entry.status = deliveryStatus;
+        return { ...base, ...delivery };
+    } catch (error) {
+        console.error('Error in sendDocumentBundle:', error);
+        return { ...base, ...failure(500, error.message) };
+    }
+};
+
+export default {
+    SELECTION_RULES,
+    selectServiceFiles,
+    deliverBundle,
+    sendDocumentBundle
+};
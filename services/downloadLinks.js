@@ -0,0 +1,49 @@
+// services/downloadLinks.js
+// Expiring download links for documents that do not fit into an email. The token carries the
+// HubSpot file id, a file name and the expiry, signed with DOWNLOAD_LINK_CONFIG.secret, so links
+// need no storage and work on every instance. GET /api/downloads/:token redirects to a fresh
+// HubSpot signed URL: the file is neither kept here nor streamed through the function.
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+const sign = (payload) => crypto.createHmac('sha256', config.DOWNLOAD_LINK_CONFIG.secret).update(payload).digest('base64url');
+
+export const isDownloadLinkEnabled = () => Boolean(config.DOWNLOAD_LINK_CONFIG.secret && config.DOWNLOAD_LINK_CONFIG.publicUrl);
+
+// { url, expiresAt }; throws when links are not configured
+export const createDownloadLink = ({ fileId, filename }) => {
+    if (!isDownloadLinkEnabled()) throw new Error('Download links are not configured (DOWNLOAD_LINK_SECRET, APP_PUBLIC_URL)');
+    const expiresAt = Date.now() + config.DOWNLOAD_LINK_CONFIG.ttlMs;
+    const payload = Buffer.from(JSON.stringify({ f: String(fileId), n: filename, e: expiresAt })).toString('base64url');
+    return {
+        url: `${config.DOWNLOAD_LINK_CONFIG.publicUrl}/api/downloads/${payload}.${sign(payload)}`,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+};
+
+// { valid: true, fileId, filename, expiresAt } or { valid: false, reason: 'invalid' | 'expired' }
+export const verifyDownloadToken = (token) => {
+    if (!config.DOWNLOAD_LINK_CONFIG.secret) return { valid: false, reason: 'invalid' };
+    const [payload, signature, ...rest] = String(token ?? '').split('.');
+    if (!payload || !signature || rest.length) return { valid: false, reason: 'invalid' };
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return { valid: false, reason: 'invalid' };
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return { valid: false, reason: 'invalid' };
+    }
+    if (!data?.f || typeof data.e !== 'number') return { valid: false, reason: 'invalid' };
+    if (data.e < Date.now()) return { valid: false, reason: 'expired' };
+    return { valid: true, fileId: data.f, filename: data.n, expiresAt: new Date(data.e).toISOString() };
+};
+
+export default {
+    isDownloadLinkEnabled,
+    createDownloadLink,
+    verifyDownloadToken
+};
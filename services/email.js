@@ -1,98 +1,251 @@
 // email.js
-import nodemailer from "nodemailer";
-import { MailtrapTransport } from "mailtrap";
 import fs from "fs";
+import path from "path";
 import config from "../config/index.js";
+import { createEmailTransport } from "./emailTransports.js";
+import { isDownloadLinkEnabled, createDownloadLink } from "./downloadLinks.js";
+import { cleanupTempFiles, escapeHtml, generateTempPath } from "../utils/helpers.js";
+import { writeZipFile } from "../utils/zip.js";
 
-const TOKEN = config.EMAIL_CONFIG.apiToken
-const TEST_INBOX_ID = config.EMAIL_CONFIG.inboxId
-
-if (!TOKEN) {
-  console.error("❌ MAILTRAP_API_TOKEN missing in .env");
-  process.exit(1);
+// A missing or broken email configuration disables email only; the rest of the API still runs
+let transport = null;
+let transportError = null;
+try {
+  transport = createEmailTransport();
+  console.log(`📧 Email transport: ${transport.description}`);
+} catch (error) {
+  transportError = error.message;
+  console.error(`❌ Email disabled: ${transportError}`);
 }
 
-// Create transporter
-const transport = nodemailer.createTransport(
-  MailtrapTransport({
-    token: TOKEN,
-    testInboxId: TEST_INBOX_ID,
-    sandbox: true, // enable for testing only
-  })
-);
+export const getEmailTransportStatus = () => ({
+  transport: transport?.name ?? config.EMAIL_CONFIG.transport,
+  ready: Boolean(transport),
+  ...(transport ? { description: transport.description } : { error: transportError })
+});
+
+// Messages kept by the capture and file transports
+const capturedEmails = [];
+
+export const getCapturedEmails = () => [...capturedEmails];
+
+export const clearCapturedEmails = () => {
+  capturedEmails.length = 0;
+};
 
 const sender = {
   address: config.EMAIL_CONFIG.sendFrom,
   name: "Document Analysis",
 };
 
-export const sendEmailWithAttachments = async (to, subject, message, attachments = []) => {
-  const MAX_SIZE_PER_EMAIL = 3 * 1024 * 1024; // 5MB
-  const DELAY_BETWEEN_EMAILS = 10000;
-  console.log(`📧 Preparing to send ${attachments.length} attachments...`);
+const formatMb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 
-  const emailChunks = [];
-  let currentChunk = [];
-  let currentSize = 0;
+// Room for a ZIP entry's headers (and encryption header) next to the file itself
+const ZIP_ENTRY_OVERHEAD = 256;
 
-  // Split attachments into chunks under 5MB
-  for (const attachment of attachments) {
-    try {
-      const fileSize = fs.statSync(attachment.path).size;
-      if (fileSize > MAX_SIZE_PER_EMAIL) {
-        console.log(`⚠️ Skipping ${attachment.filename} (too large)`);
-        continue;
-      }
-      if (currentSize + fileSize > MAX_SIZE_PER_EMAIL && currentChunk.length > 0) {
-        emailChunks.push([...currentChunk]);
-        currentChunk = [attachment];
-        currentSize = fileSize;
-      } else {
-        currentChunk.push(attachment);
-        currentSize += fileSize;
-      }
-    } catch (err) {
-      console.error(`Error reading file ${attachment.filename}:`, err.message);
+// Splits files into groups of at most maxBytes and maxFiles, in the given order
+const packFiles = (files, { maxBytes, maxFiles, overhead = 0 }) => {
+  const groups = [];
+  let group = [];
+  let size = 0;
+  for (const file of files) {
+    if (group.length && (size + file.size + overhead > maxBytes || group.length >= maxFiles)) {
+      groups.push(group);
+      group = [];
+      size = 0;
     }
+    group.push(file);
+    size += file.size + overhead;
   }
+  if (group.length) groups.push(group);
+  return groups;
+};
 
-  if (currentChunk.length > 0) emailChunks.push(currentChunk);
-  console.log(`📨 Total email chunks: ${emailChunks.length}`);
+const zipNameFor = (index, count) => {
+  const { zipName } = config.EMAIL_CONFIG.attachments;
+  if (count === 1) return zipName;
+  const extension = path.extname(zipName) || ".zip";
+  return `${path.basename(zipName, extension)}-${index + 1}${extension}`;
+};
 
-  // Send each chunk one by one
-  for (let i = 0; i < emailChunks.length; i++) {
-    const chunk = emailChunks[i];
-    console.log(`✉️ Sending email ${i + 1}/${emailChunks.length} (${chunk.length} file(s))`);
+const describeDelivery = (file) => {
+  if (file.delivery === "attached") return `attached (email ${file.email})`;
+  if (file.delivery === "zip") return `in ${file.zip} (email ${file.email})`;
+  if (file.delivery === "link") return `download link until ${file.expiresAt}`;
+  return `not sent: ${file.reason}`;
+};
 
-    const mailOptions = {
-      from: sender,
-      to,
-      subject: emailChunks.length > 1 ? `${subject} (${i + 1}/${emailChunks.length})` : subject,
-      text: message,
-      html: `
-        <div style="font-family: Arial, sans-serif; padding: 20px;">
-          <h3>${subject}</h3>
-          <p>${message}</p>
-          <small>Files attached: ${chunk.length}</small>
-        </div>`,
-      attachments: chunk.map((f) => ({ filename: f.filename, path: f.path })),
-      category: "Document Processing",
-      sandbox: true,
-    };
+// The attachments of one email: the files themselves, or one ZIP of them named zipName
+// (EMAIL_CONFIG.attachments.zipPassword applies). Returns { attachments, tempFiles }.
+export const buildMessageAttachments = async (files, zipName = null) => {
+  if (!zipName) return { attachments: files.map((file) => ({ filename: file.filename, path: file.path })), tempFiles: [] };
+  const { zipPassword } = config.EMAIL_CONFIG.attachments;
+  const zipPath = generateTempPath(".zip");
+  try {
+    const size = await writeZipFile(zipPath, files.map((file) => ({ name: file.filename, path: file.path })), { password: zipPassword });
+    console.log(`🗜️ Bundled ${files.length} file(s) into ${zipName} (${formatMb(size)}${zipPassword ? ", password protected" : ""})`);
+  } catch (error) {
+    await cleanupTempFiles([zipPath]);
+    throw error;
+  }
+  return { attachments: [{ filename: zipName, path: zipPath }], tempFiles: [zipPath] };
+};
 
+// Decides how each attachment ({ filename, path, fileId? }) goes out, see EMAIL_CONFIG.attachments:
+//   messages  [{ attachments, documents, zip }]  one entry per email, ZIP files already written
+//   links     [{ filename, fileId, url, expiresAt }]  for the email body
+//   files     [{ filename, fileId, size, delivery: attached|zip|link|skipped|failed, ... }]
+//   tempFiles the written ZIP files; remove them with utils.cleanupTempFiles after sending
+export const prepareAttachments = async (attachments = []) => {
+  const { mode, maxEmailBytes, maxFiles, zipPassword } = config.EMAIL_CONFIG.attachments;
+  const linksEnabled = isDownloadLinkEnabled();
+  const checked = await Promise.all(attachments.map(async (attachment) => {
+    const entry = { filename: attachment.filename, fileId: attachment.fileId ? String(attachment.fileId) : null };
     try {
-      const info = await transport.sendMail(mailOptions);
-      console.log(`✅ Sent email ${i + 1}:`, info.id || "Success");
-    } catch (err) {
-      console.error(`❌ Failed to send email ${i + 1}:`, err.message);
+      entry.size = (await fs.promises.stat(attachment.path)).size;
+      return { entry, file: { ...attachment, size: entry.size, entry } };
+    } catch (error) {
+      return { entry: Object.assign(entry, { size: null, delivery: "failed", reason: `file not readable: ${error.message}` }) };
     }
+  }));
+  const report = checked.map(({ entry }) => entry);
+  const files = checked.map(({ file }) => file).filter(Boolean);
+
+  const oversized = files.filter((file) => file.size > maxEmailBytes);
+  const fitting = files.filter((file) => file.size <= maxEmailBytes);
+  const totalSize = fitting.reduce((sum, file) => sum + file.size, 0);
+  const zip = mode === "zip" && fitting.length > 0 && (Boolean(zipPassword) || fitting.length > maxFiles || totalSize > maxEmailBytes);
 
-    // Always wait before next email — even if it failed
-    if (i < emailChunks.length - 1) {
-      console.log(`⏳ Waiting ${DELAY_BETWEEN_EMAILS / 1000}s before next email...`);
-      await new Promise((res) => setTimeout(res, DELAY_BETWEEN_EMAILS));
+  const pack = (items) => packFiles(items, { maxBytes: maxEmailBytes, maxFiles: zip ? Infinity : maxFiles, overhead: zip ? ZIP_ENTRY_OVERHEAD : 0 });
+  let groups = pack(fitting);
+  let linked = [];
+  // With download links everything after the first email goes as a link, so only one email is sent
+  if (linksEnabled && groups.length > 1) {
+    const overflow = groups.slice(1).flat();
+    linked = overflow.filter((file) => file.fileId);
+    groups = [groups[0], ...pack(overflow.filter((file) => !file.fileId))];
+  }
+
+  for (const file of oversized) {
+    if (linksEnabled && file.fileId) {
+      linked.push(file);
+    } else {
+      file.entry.delivery = "skipped";
+      file.entry.reason = `larger than ${formatMb(maxEmailBytes)} (${formatMb(file.size)})${
+        linksEnabled ? "; no HubSpot file id for a download link" : "; download links are not configured"}`;
     }
   }
 
-  console.log(`🎉 Completed sending ${emailChunks.length} email(s).`);
-};
\ No newline at end of file
+  const links = linked.map((file) => {
+    const link = createDownloadLink({ fileId: file.fileId, filename: file.filename });
+    Object.assign(file.entry, { delivery: "link", ...link });
+    return { filename: file.filename, fileId: String(file.fileId), ...link };
+  });
+
+  const tempFiles = [];
+  const messages = [];
+  try {
+    for (const [index, group] of groups.entries()) {
+      const zipName = zip ? zipNameFor(index, groups.length) : null;
+      const built = await buildMessageAttachments(group, zipName);
+      tempFiles.push(...built.tempFiles);
+      group.forEach((file) => Object.assign(file.entry, zipName ? { delivery: "zip", zip: zipName } : { delivery: "attached" }, { email: index + 1 }));
+      messages.push({ attachments: built.attachments, documents: group.map(({ filename, fileId }) => ({ filename, fileId: fileId ? String(fileId) : null })), zip: zipName });
+    }
+  } catch (error) {
+    await cleanupTempFiles(tempFiles);
+    throw error;
+  }
+
+  // A message without attachments (e.g. a reminder, or only links) is still one email
+  if (!messages.length) messages.push({ attachments: [], documents: [], zip: null });
+
+  const result = { messages, links, files: report, zipProtected: zip && Boolean(zipPassword), tempFiles };
+  for (const file of result.files) {
+    console.log(`${file.delivery === "link" ? "🔗" : ["skipped", "failed"].includes(file.delivery) ? "⚠️" : "📎"} ${file.filename}: ${describeDelivery(file)}`);
+  }
+  return result;
+};
+
+// Plain list of the download links for callers without a template that shows them
+const appendLinks = (message, html, links) => {
+  if (!links.length) return { message, html };
+  const lines = links.map((link) => `- ${link.filename}: ${link.url}`);
+  const items = links.map((link) => `<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.filename)}</a></li>`);
+  const until = `valid until ${links[0].expiresAt.slice(0, 10)}`;
+  return {
+    message: `${message}\n\nDownload (${until}):\n${lines.join("\n")}`,
+    html: html && `${html}<p>Download (${until}):</p><ul>${items.join("")}</ul>`
+  };
+};
+
+// Sends one email; failures come back as { success: false, error } instead of being thrown
+export const sendMessage = async ({ to, subject, text, html, attachments = [] }) => {
+  if (!transport) return { messageId: null, success: false, error: `Email is not configured: ${transportError}` };
+  try {
+    // nodemailer replaces the paths with contents while sending
+    const attachmentSizes = attachments.map((f) => ({ filename: f.filename, size: fs.statSync(f.path).size }));
+    const info = await transport.sendMail({ from: sender, to, subject, text, html, attachments });
+    const sentAt = new Date().toISOString();
+    if (transport.captures) {
+      capturedEmails.push({
+        id: info.messageId,
+        transport: transport.name,
+        ...(info.file && { file: info.file }),
+        to,
+        subject,
+        text,
+        html,
+        attachments: attachmentSizes,
+        sentAt,
+      });
+    }
+    console.log(`✅ Sent "${subject}" to ${to}:`, info.messageId || "Success");
+    return { messageId: info.messageId ?? null, success: true, sentAt };
+  } catch (err) {
+    console.error(`❌ Failed to send "${subject}" to ${to}:`, err.message);
+    return { messageId: null, success: false, error: err.message };
+  }
+};
+
+// html: the rendered template body; without it message is wrapped in a minimal layout.
+// prepared: the result of prepareAttachments when the caller already rendered its links;
+// otherwise attachments are prepared here and the links appended to the body.
+// Returns { to, subject, success, messages, files } where messages holds each email as sent
+// ({ subject, text, html, documents, zip, messageId, success, error, sentAt }); success is
+// false unless every email went out.
+export const sendEmailWithAttachments = async (to, subject, message, attachments = [], { html = null, prepared = null } = {}) => {
+  const ownPreparation = !prepared;
+  prepared ??= await prepareAttachments(attachments);
+  if (ownPreparation) ({ message, html } = appendLinks(message, html, prepared.links));
+
+  const { messages } = prepared;
+  const minIntervalMs = config.EMAIL_CONFIG.minIntervalMs ?? transport?.minIntervalMs;
+  const results = [];
+  try {
+    for (const [i, { attachments: mailAttachments, documents, zip }] of messages.entries()) {
+      const content = {
+        subject: messages.length > 1 ? `${subject} (${i + 1}/${messages.length})` : subject,
+        text: message,
+        html: html ?? `
+        <div style="font-family: Arial, sans-serif; padding: 20px;">
+          <h3>${escapeHtml(subject)}</h3>
+          <p>${escapeHtml(message).replace(/\n/g, "<br>")}</p>
+          ${mailAttachments.length ? `<small>Files attached: ${documents.length}</small>` : ""}
+        </div>`,
+      };
+      const sent = await sendMessage({ to, ...content, attachments: mailAttachments });
+      results.push({ ...content, documents, zip, ...sent });
+
+      // Provider rate limits; only reached when files are split over several emails
+      if (i < messages.length - 1 && minIntervalMs) {
+        console.log(`⏳ Waiting ${minIntervalMs / 1000}s before next email...`);
+        await new Promise((res) => setTimeout(res, minIntervalMs));
+      }
+    }
+  } finally {
+    if (ownPreparation) await cleanupTempFiles(prepared.tempFiles);
+  }
+
+  return { to, subject, success: results.every((result) => result.success), messages: results, files: prepared.files };
+};
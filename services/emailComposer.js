@@ -0,0 +1,159 @@
+// services/emailComposer.js
+// Turns a use case (templates/email/<useCase>.json) and a contact/deal into one rendered email per
+// recipient. Recipients come from EMAIL_CONFIG.recipients[useCase]; contact recipients get the
+// contact's language (EMAIL_CONFIG.languageProperty), owners and fixed addresses the default one.
+import config from '../config/index.js';
+import * as hubspot from './hubspot.js';
+import * as email from './email.js';
+import * as emailHistory from './emailHistory.js';
+import { cleanupTempFiles } from '../utils/helpers.js';
+import { listReferencedProperties, normalizeLanguage, renderEmail } from './emailTemplates.js';
+
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+const RULE_PATTERN = /^(contact|deal)\.([a-z0-9_]+)$/;
+
+const fullName = (...parts) => parts.filter(Boolean).join(' ') || null;
+
+const parseRule = (rule) => {
+    if (rule === 'default' || EMAIL_PATTERN.test(rule)) return { rule };
+    const match = rule.match(RULE_PATTERN);
+    if (!match) throw new Error(`Unknown email recipient rule: "${rule}"`);
+    return { rule, object: match[1], property: match[2] };
+};
+
+// The properties templates and recipient rules read, next to the ones every email uses
+const propertiesToFetch = (useCase, rules) => {
+    const referenced = listReferencedProperties(useCase);
+    const fromRules = (object) => rules.filter(rule => rule.object === object && rule.property !== 'owner').map(rule => rule.property);
+    return {
+        contact: [...new Set(['firstname', 'lastname', 'email', 'hubspot_owner_id', config.EMAIL_CONFIG.languageProperty, ...referenced.contact, ...fromRules('contact')])],
+        deal: [...new Set(['dealname', 'hubspot_owner_id', ...referenced.deal, ...fromRules('deal')])]
+    };
+};
+
+// Missing ids are looked up through associations (the contact's first deal, the deal's contact)
+const loadRecords = async ({ contactId, dealId }, properties) => {
+    const { contact, deal } = config.HUBSPOT_CONFIG.objectTypes;
+    if (!dealId && contactId) dealId = (await hubspot.fetchHubSpotAssociatedData(contact, contactId, deal, 1)).results[0]?.toObjectId ?? null;
+    if (!contactId && dealId) contactId = await hubspot.getAssociatedContactId(deal, dealId);
+
+    const [contactRecord, dealRecord] = await Promise.all([
+        contactId ? hubspot.getHubSpotRecord(contact, contactId, properties.contact.join(',')) : null,
+        dealId ? hubspot.getHubSpotRecord(deal, dealId, properties.deal.join(',')) : null
+    ]);
+    return {
+        contactId: contactId ? String(contactId) : null,
+        dealId: dealId ? String(dealId) : null,
+        contact: contactRecord?.properties ?? {},
+        deal: dealRecord?.properties ?? {}
+    };
+};
+
+const resolveRecipients = async (rules, records, fallbackRecipient) => {
+    const contactLanguage = normalizeLanguage(records.contact[config.EMAIL_CONFIG.languageProperty]);
+    const { defaultLanguage } = config.EMAIL_CONFIG;
+    const owners = new Map();
+    const recipients = [];
+
+    for (const { rule, object, property } of rules) {
+        if (rule === 'default') {
+            if (fallbackRecipient) recipients.push({ email: fallbackRecipient, name: null, language: defaultLanguage, source: rule });
+        } else if (!object) {
+            recipients.push({ email: rule, name: null, language: defaultLanguage, source: 'address' });
+        } else if (property === 'owner') {
+            const ownerId = records[object].hubspot_owner_id;
+            if (!ownerId) continue;
+            if (!owners.has(ownerId)) owners.set(ownerId, await hubspot.getOwner(ownerId).catch(error => ({ error: error.message })));
+            const owner = owners.get(ownerId);
+            if (owner.error) console.warn(`⚠️ Owner ${ownerId} of ${object} could not be loaded: ${owner.error}`);
+            if (owner.email) recipients.push({ email: owner.email, name: fullName(owner.firstName, owner.lastName), language: defaultLanguage, source: rule });
+        } else {
+            // A property may hold several addresses
+            const addresses = String(records[object][property] ?? '').split(/[,;\s]+/).filter(address => EMAIL_PATTERN.test(address));
+            const isContact = object === 'contact';
+            recipients.push(...addresses.map(address => ({
+                email: address,
+                name: isContact && property === 'email' ? fullName(records.contact.firstname, records.contact.lastname) : null,
+                language: isContact ? contactLanguage : defaultLanguage,
+                source: rule
+            })));
+        }
+    }
+
+    if (!recipients.length && fallbackRecipient) recipients.push({ email: fallbackRecipient, name: null, language: defaultLanguage, source: 'default' });
+    const seen = new Set();
+    return recipients.filter(recipient => !seen.has(recipient.email.toLowerCase()) && seen.add(recipient.email.toLowerCase()));
+};
+
+// One { to, language, source, subject, text, html } per recipient. prepared (email.prepareAttachments)
+// tells the templates which files are attached and which go as download links.
+export const composeEmails = async (useCase, { contactId = null, dealId = null, data = {}, attachments = [], prepared = null, fallbackRecipient = null } = {}) => {
+    const rules = (config.EMAIL_CONFIG.recipients[useCase] ?? ['default']).map(parseRule);
+    const records = await loadRecords({ contactId, dealId }, propertiesToFetch(useCase, rules));
+    const recipients = await resolveRecipients(rules, records, fallbackRecipient);
+    if (!recipients.length) throw new Error(`No email recipient for "${useCase}" (rules: ${rules.map(rule => rule.rule).join(', ') || '-'})`);
+
+    const attached = prepared ? prepared.files.filter(file => ['attached', 'zip'].includes(file.delivery)) : attachments;
+    const downloadLinks = (prepared?.links ?? []).map(link => ({ ...link, expiresOn: link.expiresAt.slice(0, 10) }));
+    const templateData = {
+        ...data,
+        contact: records.contact,
+        deal: records.deal,
+        contactName: fullName(records.contact.firstname, records.contact.lastname),
+        attachments: attached.map(attachment => ({ filename: attachment.filename })),
+        attachmentCount: attached.length,
+        downloadLinks,
+        downloadLinkCount: downloadLinks.length,
+        zipProtected: prepared?.zipProtected ?? false
+    };
+    return recipients.map(recipient => ({
+        to: recipient.email,
+        source: recipient.source,
+        contactId: records.contactId,
+        dealId: records.dealId,
+        ...renderEmail(useCase, recipient.language, { ...templateData, recipient })
+    }));
+};
+
+// Renders and sends the use case to every recipient; a failed recipient does not stop the others.
+// Attachments are bundled (and their links signed) once for all recipients. Every send is kept in
+// the email history (emailId); throws when no recipient got anything.
+export const sendTemplatedEmail = async (useCase, { attachments = [], ...options } = {}) => {
+    const prepared = await email.prepareAttachments(attachments);
+    try {
+        const emails = await composeEmails(useCase, { ...options, attachments, prepared });
+        const sends = [];
+        for (const message of emails) {
+            const sent = await email.sendEmailWithAttachments(message.to, message.subject, message.text, attachments, { html: message.html, prepared });
+            sends.push({ to: message.to, language: message.language, source: message.source, messages: sent.messages });
+        }
+
+        const record = await emailHistory.recordSend({ useCase, contactId: emails[0].contactId, dealId: emails[0].dealId, files: prepared.files, recipients: sends });
+        const { recipients } = emailHistory.summarizeEmail(record);
+        if (record.status === 'failed') {
+            const errors = [...new Set(recipients.flatMap(recipient => recipient.chunks.map(chunk => chunk.error)))];
+            throw new Error(`Email "${useCase}" could not be sent (email ${record.id}): ${errors.join('; ')}`);
+        }
+        return {
+            useCase,
+            emailId: record.id,
+            status: record.status,
+            contactId: record.contactId,
+            dealId: record.dealId,
+            recipients: recipients.map(recipient => ({
+                ...recipient,
+                success: recipient.status !== 'failed',
+                messageIds: recipient.chunks.map(chunk => chunk.messageId).filter(Boolean)
+            })),
+            files: prepared.files,
+            dealSummary: record.dealSummary
+        };
+    } finally {
+        await cleanupTempFiles(prepared.tempFiles);
+    }
+};
+
+export default {
+    composeEmails,
+    sendTemplatedEmail
+};
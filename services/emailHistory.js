@@ -0,0 +1,221 @@
+// services/emailHistory.js
+// Every templated send: use case, contact/deal, the delivery of each file and, per recipient, each
+// email (chunk) with its message id, status and error. Failed chunks can be sent again; their
+// files are downloaded from HubSpot anew, so only files with a HubSpot file id can be retried.
+// After each send or retry a summary goes to the deal (properties.emailSummary).
+import crypto from 'crypto';
+import config from '../config/index.js';
+import * as hubspot from './hubspot.js';
+import * as email from './email.js';
+import { createFileStore } from '../utils/fileStore.js';
+import { downloadAndSaveFile, cleanupTempFiles } from '../utils/helpers.js';
+
+const store = createFileStore('email-history', { emails: {} });
+
+// HubSpot text properties hold at most 65536 characters
+const MAX_SUMMARY_LENGTH = 65000;
+// A retry holds its entry at most this long, so a crashed one does not block the next
+const RETRY_CLAIM_MS = 15 * 60 * 1000;
+
+const chunkStatus = (sent) => sent.success ? 'sent' : 'failed';
+
+const overallStatus = (chunks) => {
+    const sent = chunks.filter(chunk => chunk.status === 'sent').length;
+    if (sent === chunks.length) return 'sent';
+    return sent ? 'partial' : 'failed';
+};
+
+const toChunk = (message, index) => ({
+    index,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    documents: message.documents,
+    zip: message.zip,
+    messageId: message.messageId,
+    status: chunkStatus(message),
+    error: message.error ?? null,
+    attempts: 1,
+    sentAt: message.sentAt ?? null
+});
+
+const withStatus = (record) => {
+    for (const recipient of record.recipients) recipient.status = overallStatus(recipient.chunks);
+    record.status = overallStatus(record.recipients.flatMap(recipient => recipient.chunks));
+    return record;
+};
+
+// The stored bodies stay here; listings and API results show everything else
+export const summarizeEmail = ({ recipients, ...record }) => ({
+    ...record,
+    recipients: recipients.map(({ chunks, ...recipient }) => ({
+        ...recipient,
+        chunks: chunks.map(({ text, html, ...chunk }) => chunk)
+    }))
+});
+
+const formatFile = (file) => {
+    if (file.delivery === 'zip') return `${file.filename} (in ${file.zip})`;
+    if (file.delivery === 'link') return `${file.filename} (link until ${file.expiresAt.slice(0, 10)})`;
+    if (file.delivery === 'skipped' || file.delivery === 'failed') return `${file.filename} (not sent: ${file.reason})`;
+    return `${file.filename} (${file.delivery})`;
+};
+
+const buildDealSummary = (record) => {
+    const lines = [`${record.updatedAt.slice(0, 16).replace('T', ' ')} UTC · ${record.useCase} · ${record.status} · email ${record.id}`];
+    for (const recipient of record.recipients) {
+        const sent = recipient.chunks.filter(chunk => chunk.status === 'sent');
+        const errors = [...new Set(recipient.chunks.filter(chunk => chunk.error && chunk.status !== 'sent').map(chunk => chunk.error))];
+        lines.push(`${recipient.to}: ${sent.length}/${recipient.chunks.length} email(s) sent${errors.length ? ` - ${errors.join('; ')}` : ''}`);
+    }
+    if (record.files.length) lines.push(`Files: ${record.files.map(formatFile).join(', ')}`);
+    return lines.join('\n').slice(0, MAX_SUMMARY_LENGTH);
+};
+
+// Logged and returned, never thrown: the emails are out either way
+const writeDealSummary = async (record) => {
+    const property = config.HUBSPOT_CONFIG.properties.emailSummary;
+    if (!record.dealId || !property) return null;
+    try {
+        await hubspot.updateProperty(config.HUBSPOT_CONFIG.objectTypes.deal, record.dealId, property, buildDealSummary(record));
+        return { success: true, property };
+    } catch (error) {
+        console.error(`Error writing the email summary to deal ${record.dealId}:`, error.message);
+        return { success: false, property, error: error.message };
+    }
+};
+
+const save = (record) => store.update(data => {
+    const cutoff = Date.now() - config.EMAIL_CONFIG.historyRetentionMs;
+    for (const [id, entry] of Object.entries(data.emails)) {
+        if (Date.parse(entry.createdAt) < cutoff) delete data.emails[id];
+    }
+    data.emails[record.id] = structuredClone(record);
+    return record;
+});
+
+// recipients: [{ to, language, source, messages }] as returned by email.sendEmailWithAttachments
+export const recordSend = async ({ useCase, contactId = null, dealId = null, files, recipients }) => {
+    const now = new Date().toISOString();
+    const record = withStatus({
+        id: crypto.randomUUID(),
+        useCase,
+        contactId: contactId ? String(contactId) : null,
+        dealId: dealId ? String(dealId) : null,
+        createdAt: now,
+        updatedAt: now,
+        files: files.map(({ url, ...file }) => file),
+        recipients: recipients.map(({ to, language, source, messages }) => ({ to, language, source, chunks: messages.map(toChunk) })),
+        retries: []
+    });
+    await save(record);
+    record.dealSummary = await writeDealSummary(record);
+    return record;
+};
+
+// Newest first; without filters every send
+export const listEmails = async ({ contactId = null, dealId = null } = {}) => {
+    const data = await store.read();
+    return Object.values(data.emails)
+        .filter(record => (!contactId || record.contactId === String(contactId)) && (!dealId || record.dealId === String(dealId)))
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+        .map(summarizeEmail);
+};
+
+export const getEmail = async (id) => {
+    const data = await store.read();
+    return data.emails[id] ? structuredClone(data.emails[id]) : null;
+};
+
+const resendChunk = async (to, chunk) => {
+    const missing = chunk.documents.filter(document => !document.fileId);
+    if (missing.length) {
+        return { success: false, error: `No HubSpot file id for ${missing.map(document => document.filename).join(', ')}` };
+    }
+
+    const tempFiles = [];
+    try {
+        const files = [];
+        for (const document of chunk.documents) {
+            const tempPath = await downloadAndSaveFile(await hubspot.getSignedFileUrl(document.fileId), document.fileId);
+            tempFiles.push(tempPath);
+            files.push({ filename: document.filename, path: tempPath });
+        }
+        const built = await email.buildMessageAttachments(files, chunk.zip);
+        tempFiles.push(...built.tempFiles);
+        return await email.sendMessage({ to, subject: chunk.subject, text: chunk.text, html: chunk.html, attachments: built.attachments });
+    } catch (error) {
+        return { success: false, error: error.message };
+    } finally {
+        await cleanupTempFiles(tempFiles);
+    }
+};
+
+// Marks the entry as being retried, so two concurrent retries never send the same chunks twice.
+// Returns a copy of the entry without the mark; saving it afterwards releases the claim.
+const claimRetry = (id) => store.update(data => {
+    const entry = data.emails[id];
+    if (!entry) return { success: false, status: 404, error: `No email found: ${id}` };
+    if (entry.retryingSince && Date.now() - Date.parse(entry.retryingSince) < RETRY_CLAIM_MS) {
+        return { success: false, status: 409, error: `A retry of ${id} is already running` };
+    }
+    if (entry.recipients.every(recipient => recipient.chunks.every(chunk => chunk.status === 'sent'))) {
+        return { success: false, status: 409, error: `Every email of ${id} was already sent` };
+    }
+    const record = structuredClone(entry);
+    entry.retryingSince = new Date().toISOString();
+    return { success: true, record };
+});
+
+const releaseRetry = (id) => store.update(data => {
+    if (data.emails[id]) delete data.emails[id].retryingSince;
+});
+
+// Sends the failed chunks of every recipient again, one after the other
+export const retryEmail = async (id) => {
+    const claim = await claimRetry(id);
+    if (!claim.success) return claim;
+    const { record } = claim;
+
+    const failed = record.recipients.flatMap(recipient => recipient.chunks
+        .filter(chunk => chunk.status !== 'sent')
+        .map(chunk => ({ recipient, chunk })));
+
+    console.log(`🔁 Retrying ${failed.length} email(s) of ${id}`);
+    try {
+        for (const { recipient, chunk } of failed) {
+            const sent = await resendChunk(recipient.to, chunk);
+            Object.assign(chunk, {
+                messageId: sent.messageId ?? chunk.messageId,
+                status: chunkStatus(sent),
+                error: sent.error ?? null,
+                attempts: chunk.attempts + 1,
+                sentAt: sent.sentAt ?? chunk.sentAt
+            });
+        }
+    } catch (error) {
+        await releaseRetry(id);
+        throw error;
+    }
+
+    const now = new Date().toISOString();
+    const succeeded = failed.filter(({ chunk }) => chunk.status === 'sent').length;
+    record.updatedAt = now;
+    record.retries.push({ at: now, retried: failed.length, succeeded });
+    withStatus(record);
+    await save(record);
+    record.dealSummary = await writeDealSummary(record);
+
+    const result = { retried: failed.length, succeeded, email: summarizeEmail(record) };
+    return succeeded === failed.length
+        ? { success: true, ...result }
+        : { success: false, status: 502, error: `${failed.length - succeeded} of ${failed.length} email(s) failed again`, ...result };
+};
+
+export default {
+    recordSend,
+    listEmails,
+    getEmail,
+    retryEmail,
+    summarizeEmail
+};
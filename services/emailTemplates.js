@@ -0,0 +1,157 @@
+// services/emailTemplates.js
+// Stored email templates: templates/email/<useCase>.json holds { "<language>": { subject, text, html } }
+// for de/fr/it/en. A file with the same name in EMAIL_CONFIG.templatesDir replaces single languages.
+// Templates use a small mustache subset:
+//   {{contact.firstname}}         value by path; HTML-escaped in "html", as is in subject and text
+//   {{#attachments}}..{{/attachments}}  repeated per list item, or shown once for a truthy value
+//   {{^deal.dealname}}..{{/deal.dealname}}  shown when the value is empty
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+export const EMAIL_LANGUAGES = ['de', 'fr', 'it', 'en'];
+
+const TEMPLATES_DIR = fileURLToPath(new URL('../templates/email', import.meta.url));
+const TEMPLATE_PARTS = ['subject', 'text', 'html'];
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+const cache = new Map();
+
+// HubSpot stores languages like "de-ch"; anything unsupported falls back to the default
+export const normalizeLanguage = (value) => {
+    const language = String(value ?? '').toLowerCase().split(/[-_]/)[0];
+    return EMAIL_LANGUAGES.includes(language) ? language : config.EMAIL_CONFIG.defaultLanguage;
+};
+
+// Template string -> tree of text, value and section nodes; throws on unbalanced sections
+const parse = (template) => {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+    for (const match of template.matchAll(TAG_PATTERN)) {
+        const [tag, kind, name] = match;
+        const current = stack[stack.length - 1];
+        if (match.index > last) current.children.push({ type: 'text', text: template.slice(last, match.index) });
+        last = match.index + tag.length;
+
+        if (kind === '#' || kind === '^') {
+            const section = { type: 'section', name, inverted: kind === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (kind === '/') {
+            if (current === root || current.name !== name) throw new Error(`unexpected {{/${name}}}`);
+            stack.pop();
+        } else {
+            current.children.push({ type: 'value', name });
+        }
+    }
+    if (stack.length > 1) throw new Error(`{{#${stack[stack.length - 1].name}}} is not closed`);
+    if (last < template.length) root.children.push({ type: 'text', text: template.slice(last) });
+    return root.children;
+};
+
+// Innermost context first, like mustache; "." is the current list item
+const lookup = (contexts, name) => {
+    if (name === '.') return contexts[contexts.length - 1];
+    const [first, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => value?.[key], context[first]);
+        }
+    }
+    return undefined;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === false || value === '' || value === 0
+    || (Array.isArray(value) && !value.length);
+
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    const value = lookup(contexts, node.name);
+    if (node.type === 'value') return escape(value ?? '');
+    if (node.inverted) return isEmpty(value) ? renderNodes(node.children, contexts, escape) : '';
+    if (isEmpty(value)) return '';
+    const items = Array.isArray(value) ? value : [value];
+    return items.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+}).join('');
+
+export const renderTemplate = (template, data, { html = false } = {}) =>
+    renderNodes(parse(template), [data], html ? escapeHtml : (value) => String(value));
+
+const readTemplateFile = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`❌ Could not read email templates ${file}: ${error.message}`);
+    }
+};
+
+// Lists every problem of one use case's templates; throws when there is any
+const validateTemplates = (useCase, templates, files) => {
+    const errors = [];
+    if (!templates[config.EMAIL_CONFIG.defaultLanguage]) errors.push(`no template for the default language "${config.EMAIL_CONFIG.defaultLanguage}"`);
+    for (const [language, template] of Object.entries(templates)) {
+        if (!EMAIL_LANGUAGES.includes(language)) errors.push(`${language}: unsupported language (${EMAIL_LANGUAGES.join(', ')})`);
+        for (const part of TEMPLATE_PARTS) {
+            if (typeof template?.[part] !== 'string') {
+                errors.push(`${language}.${part}: missing`);
+                continue;
+            }
+            try {
+                parse(template[part]);
+            } catch (error) {
+                errors.push(`${language}.${part}: ${error.message}`);
+            }
+        }
+    }
+    if (errors.length) throw new Error(`❌ Invalid email templates "${useCase}" (${files.join(', ')}):\n  - ${errors.join('\n  - ')}`);
+};
+
+export const loadTemplates = (useCase) => {
+    if (cache.has(useCase)) return cache.get(useCase);
+
+    const files = [path.join(TEMPLATES_DIR, `${useCase}.json`)];
+    if (config.EMAIL_CONFIG.templatesDir) files.push(path.join(config.EMAIL_CONFIG.templatesDir, `${useCase}.json`));
+    const existing = files.filter(file => fs.existsSync(file));
+    if (!existing.length) throw new Error(`No email templates for "${useCase}"`);
+
+    // The override replaces whole languages
+    const templates = Object.assign({}, ...existing.map(readTemplateFile));
+    validateTemplates(useCase, templates, existing);
+    cache.set(useCase, templates);
+    return templates;
+};
+
+// Every "contact.<property>" / "deal.<property>" a use case's templates read
+export const listReferencedProperties = (useCase) => {
+    const text = Object.values(loadTemplates(useCase)).flatMap(template => TEMPLATE_PARTS.map(part => template[part])).join('\n');
+    const referenced = { contact: new Set(), deal: new Set() };
+    for (const [, object, property] of text.matchAll(/\{\{\s*[#^/]?\s*(contact|deal)\.([a-z0-9_]+)/g)) referenced[object].add(property);
+    return { contact: [...referenced.contact], deal: [...referenced.deal] };
+};
+
+// { language, subject, text, html }; a missing language falls back to the default one
+export const renderEmail = (useCase, language, data) => {
+    const templates = loadTemplates(useCase);
+    const resolved = templates[language] ? language : config.EMAIL_CONFIG.defaultLanguage;
+    const template = templates[resolved];
+    return {
+        language: resolved,
+        // Subjects are single-line header values
+        subject: renderTemplate(template.subject, data).replace(/\s+/g, ' ').trim(),
+        text: renderTemplate(template.text, data),
+        html: renderTemplate(template.html, data, { html: true })
+    };
+};
+
+export default {
+    EMAIL_LANGUAGES,
+    normalizeLanguage,
+    renderTemplate,
+    loadTemplates,
+    listReferencedProperties,
+    renderEmail
+};
@@ -0,0 +1,96 @@
+// services/emailTransports.js
+// Outgoing mail transports, selected with EMAIL_CONFIG.transport. Each one exposes
+//   sendMail(mailOptions) -> info    nodemailer message options and result
+//   captures                         sent messages are kept for getCapturedEmails()
+//   minIntervalMs                    pause between emails of one send (provider rate limits; EMAIL_MIN_INTERVAL_MS overrides)
+//   description                      for startup logs and GET /
+// 'smtp' and 'mailtrap-live' deliver, 'mailtrap-sandbox' delivers into a Mailtrap test inbox,
+// 'file' writes .eml files to captureDir and 'capture' keeps messages in memory.
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { MailtrapTransport } from 'mailtrap';
+import config from '../config/index.js';
+
+// Mailtrap rate-limits sends per plan. Its nodemailer transport drops the HTTP status of errors,
+// so a 429 cannot be told apart and waited out; the emails of one send go out a second apart
+// instead (EMAIL_MIN_INTERVAL_MS for stricter plans) and a rejected one can be retried later.
+// Longer pauses would hold a serverless function past its time limit.
+const MAILTRAP_INTERVAL_MS = 1000;
+
+const createMailtrapTransport = ({ sandbox }) => {
+    const { apiToken, inboxId } = config.EMAIL_CONFIG;
+    if (!apiToken || (sandbox && !inboxId)) {
+        throw new Error(`Mailtrap ${sandbox ? 'sandbox' : 'live'} transport is not configured (MAILTRAP_API_TOKEN${sandbox ? ', MAILTRAP_INBOX_ID' : ''})`);
+    }
+    const transporter = nodemailer.createTransport(MailtrapTransport({ token: apiToken, testInboxId: inboxId, sandbox }));
+    return {
+        description: sandbox ? `Mailtrap sandbox (inbox ${inboxId})` : 'Mailtrap',
+        captures: false,
+        minIntervalMs: MAILTRAP_INTERVAL_MS,
+        sendMail: (mailOptions) => transporter.sendMail({ category: 'Document Processing', ...mailOptions, sandbox })
+    };
+};
+
+const TRANSPORT_FACTORIES = {
+    smtp: () => {
+        const { host, port, secure, auth } = config.EMAIL_CONFIG;
+        if (!host) throw new Error('SMTP transport is not configured (SMTP_HOST)');
+        const transporter = nodemailer.createTransport({ host, port, secure, ...(auth.user && { auth }) });
+        return {
+            description: `SMTP ${host}:${port}`,
+            captures: false,
+            minIntervalMs: 0,
+            sendMail: (mailOptions) => transporter.sendMail(mailOptions)
+        };
+    },
+    'mailtrap-live': () => createMailtrapTransport({ sandbox: false }),
+    'mailtrap-sandbox': () => createMailtrapTransport({ sandbox: true }),
+    file: () => {
+        const directory = config.EMAIL_CONFIG.captureDir || path.join(config.STORAGE_CONFIG.dataDir, 'emails');
+        const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        return {
+            description: `files in ${directory}`,
+            captures: true,
+            minIntervalMs: 0,
+            sendMail: async (mailOptions) => {
+                const info = await transporter.sendMail(mailOptions);
+                const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^a-z0-9.@-]/gi, '')}.eml`);
+                await fs.promises.mkdir(directory, { recursive: true });
+                await fs.promises.writeFile(file, info.message);
+                return { ...info, file };
+            }
+        };
+    },
+    capture: () => {
+        const transporter = nodemailer.createTransport({ jsonTransport: true });
+        return {
+            description: 'in-memory capture',
+            captures: true,
+            minIntervalMs: 0,
+            sendMail: (mailOptions) => transporter.sendMail(mailOptions)
+        };
+    }
+};
+
+// Earlier configurations used 'mailtrap' for the sandbox
+const ALIASES = { mailtrap: 'mailtrap-sandbox' };
+
+export const EMAIL_TRANSPORTS = Object.keys(TRANSPORT_FACTORIES);
+
+export const resolveTransportName = (name = config.EMAIL_CONFIG.transport) => ALIASES[name] || name;
+
+// Builds the configured transport; throws when it is unknown or misses settings
+export const createEmailTransport = (name = config.EMAIL_CONFIG.transport) => {
+    const resolved = resolveTransportName(name);
+    if (!TRANSPORT_FACTORIES[resolved]) {
+        throw new Error(`Unknown email transport: ${name} (${EMAIL_TRANSPORTS.join(', ')})`);
+    }
+    return { name: resolved, ...TRANSPORT_FACTORIES[resolved]() };
+};
+
+export default {
+    EMAIL_TRANSPORTS,
+    resolveTransportName,
+    createEmailTransport
+};
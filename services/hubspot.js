@@ -1,118 +1,410 @@
 // services/hubspot.js
+import crypto from 'crypto';
 import config from '../config/index.js';
+import { mapToHubSpotProperties } from './propertyMapping.js';
 
-export const getSignedFileUrl = async (fileId) => {
-    const response = await fetch(`${config.HUBSPOT_CONFIG.urls.file}/${fileId}/signed-url`, {
-        headers: { Authorization: `Bearer ${config.HUBSPOT_ACCESS_TOKEN}`, 'Content-Type': 'application/json' }
-    });
-    const data = await response.json();
-    if (!response.ok || !data.url) throw new Error('Failed to get signed URL');
-    return data.url;
+// HubSpot decodes these characters in the request URI before signing (v3)
+const SIGNATURE_URI_DECODES = {
+    '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+    '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
 };
 
-export const updateProperty = async (objectType, objectId, propertyName, propertyValue) => {
-    const url = `${config.HUBSPOT_CONFIG.urls.object}/${objectType}/${objectId}`;
-    const body = {
-        properties: {
-            [propertyName]: typeof propertyValue === 'object' ? JSON.stringify(propertyValue) : propertyValue
-        }
-    };
+export const verifyWebhookSignature = ({ method, uri, rawBody, signature, timestamp }) => {
+    const { clientSecret, maxTimestampAgeMs } = config.HUBSPOT_WEBHOOK_CONFIG;
+    if (!clientSecret) return { valid: false, reason: 'HUBSPOT_CLIENT_SECRET is not configured' };
+    if (!signature || !timestamp) return { valid: false, reason: 'Missing signature headers' };
 
-    const response = await fetch(url, {
-        method: "PATCH",
-        headers: {
-            "Authorization": `Bearer ${config.HUBSPOT_ACCESS_TOKEN}`,
-            "Content-Type": "application/json"
-        },
-        body: JSON.stringify(body),
-    });
+    const age = Date.now() - Number(timestamp);
+    if (!Number.isFinite(age) || Math.abs(age) > maxTimestampAgeMs) {
+        return { valid: false, reason: 'Request timestamp outside allowed window' };
+    }
 
-    if (!response.ok) throw new Error(`HubSpot update failed: ${response.status}`);
-    return response.json();
+    const decodedUri = uri.replace(/%[0-9A-F]{2}/gi, (match) => SIGNATURE_URI_DECODES[match.toUpperCase()] || match);
+    const expected = crypto
+        .createHmac('sha256', clientSecret)
+        .update(`${method.toUpperCase()}${decodedUri}${rawBody || ''}${timestamp}`)
+        .digest();
+    const received = Buffer.from(signature, 'base64');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return { valid: false, reason: 'Signature mismatch' };
+    }
+    return { valid: true };
 };
 
-export const getHubSpotRecord = async (objectType, objectId, properties = '') => {
-    const url = `${config.HUBSPOT_CONFIG.urls.object}/${objectType}/${objectId}?properties=${properties}`;
-    const response = await fetch(url, {
-        headers: {
-            Authorization: `Bearer ${config.HUBSPOT_ACCESS_TOKEN}`,
-            'Content-Type': 'application/json'
-        }
-    });
-    if (!response.ok) throw new Error(`HubSpot API error: ${response.status}`);
-    return response.json();
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Base class of every HubSpot API error. correlationId is what HubSpot support asks for;
+// body is the parsed error response ({ status, message, category, errors, context }).
+export class HubSpotError extends Error {
+    constructor(message, { status = null, correlationId = null, category = null, body = null, method = null, path = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.correlationId = correlationId;
+        this.category = category;
+        this.body = body;
+        this.method = method;
+        this.path = path;
+    }
+}
+
+export class NotFoundError extends HubSpotError {}
+export class UnauthorizedError extends HubSpotError {}
+export class ValidationError extends HubSpotError {}
+export class RateLimitedError extends HubSpotError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfterMs = details.retryAfterMs ?? null;
+    }
+}
+
+const ERROR_CLASSES = {
+    400: ValidationError,
+    401: UnauthorizedError,
+    403: UnauthorizedError,
+    404: NotFoundError,
+    409: ValidationError,
+    422: ValidationError,
+    429: RateLimitedError
 };
 
-export const fetchHubSpotAssociatedData = async (objectType, objectId, toObjectType, limit = 100) => {
-    const url = `${config.HUBSPOT_CONFIG.urls.association}/${objectType}/${objectId}/associations/${toObjectType}?limit=${limit}`;
-    // console.log('Fetching associated data from URL:', url);
-    const response = await fetch(url, {
-        headers: { 'Authorization': `Bearer ${config.HUBSPOT_ACCESS_TOKEN}` }
-    });
+const readBody = async (response) => {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return { message: text };
+    }
+};
 
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    return response.json();
+const getRetryDelayMs = (response, attempt, burstWindowMs) => {
+    const retryAfterSeconds = Number(response.headers.get('retry-after'));
+    if (retryAfterSeconds > 0) return retryAfterSeconds * 1000;
+    // A 429 without Retry-After means the burst window is used up; wait it out
+    if (response.status === 429) return burstWindowMs;
+    return Math.min(1000 * 2 ** attempt, 30000);
 };
 
-export const fetchHubSpotBatchRecords = async (objectTypeId, ids, properties, archived = false) => {
-    const url = `${config.HUBSPOT_CONFIG.urls.object}/${objectTypeId}/batch/read`;
-    // console.log('Fetching batch records from URL:', url);
-    const body = {
-        inputs: ids.map(id => ({ id: id.toString() })),
-        properties,
-        archived
+// HubSpot stores property values as strings; objects (JSON logs, reports) are serialized
+const toPropertyValues = (properties) => Object.fromEntries(Object.entries(properties)
+    .map(([name, value]) => [name, value !== null && typeof value === 'object' ? JSON.stringify(value) : value]));
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, index) => items.slice(index * size, (index + 1) * size));
+
+// Batch endpoints take at most 100 inputs per request
+const BATCH_SIZE = 100;
+// CRM search returns at most 200 records per page
+const SEARCH_PAGE_SIZE = 200;
+
+// HubSpot API client. Options default to HUBSPOT_API_CONFIG and HUBSPOT_ACCESS_TOKEN, read on
+// every request so tests can repoint the default client. Non-2xx responses throw a HubSpotError
+// subclass; 429 responses are retried first, 5xx responses and timeouts only for idempotent requests.
+export const createHubSpotClient = (options = {}) => {
+    const settings = () => ({ ...config.HUBSPOT_API_CONFIG, accessToken: config.HUBSPOT_ACCESS_TOKEN, ...options });
+    const { urls } = config.HUBSPOT_CONFIG;
+
+    // Start times of requests inside the current burst window
+    const recentRequests = [];
+
+    // Keeps us under HubSpot's burst limit (requests per rolling 10 seconds) instead of running into 429s
+    const throttle = async ({ burstLimit, burstWindowMs }) => {
+        for (;;) {
+            const now = Date.now();
+            while (recentRequests.length && recentRequests[0] <= now - burstWindowMs) recentRequests.shift();
+            if (recentRequests.length < burstLimit) {
+                recentRequests.push(now);
+                return;
+            }
+            await sleep(recentRequests[0] + burstWindowMs - now);
+        }
+    };
+
+    const toError = async (response, method, path) => {
+        const body = await readBody(response);
+        const ErrorClass = ERROR_CLASSES[response.status] || HubSpotError;
+        const correlationId = body?.correlationId ?? null;
+        const retryAfterSeconds = Number(response.headers.get('retry-after'));
+        return new ErrorClass(
+            `HubSpot ${response.status} on ${method} ${path}: ${body?.message || response.statusText}${correlationId ? ` (correlationId ${correlationId})` : ''}`,
+            {
+                status: response.status,
+                correlationId,
+                category: body?.category ?? null,
+                body,
+                method,
+                path,
+                retryAfterMs: retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : null
+            }
+        );
+    };
+
+    // Returns the parsed JSON body (null for empty responses). A 5xx or a timeout may come after
+    // HubSpot already acted on the request, so a POST (creating a note, task or timeline event) is
+    // only sent again when retryServerErrors says it changes nothing; a 429 was never processed.
+    const request = async (path, { method = 'GET', body, query, retryServerErrors = method !== 'POST' } = {}) => {
+        const current = settings();
+        const url = new URL(current.baseUrl + path);
+        for (const [key, value] of Object.entries(query || {})) {
+            if (value !== undefined && value !== null) url.searchParams.set(key, value);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await throttle(current);
+            let response;
+            try {
+                response = await fetch(url, {
+                    method,
+                    headers: {
+                        'Authorization': `Bearer ${current.accessToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: body === undefined ? undefined : JSON.stringify(body),
+                    signal: AbortSignal.timeout(current.timeoutMs)
+                });
+            } catch (error) {
+                if (error.name !== 'TimeoutError') throw error;
+                if (retryServerErrors && attempt < current.maxRetries) {
+                    console.warn(`⏳ HubSpot timeout on ${method} ${path}, retrying (${attempt + 1}/${current.maxRetries})`);
+                    continue;
+                }
+                throw new HubSpotError(`HubSpot did not answer ${method} ${path} within ${current.timeoutMs / 1000}s`, { method, path });
+            }
+
+            if (response.ok) return readBody(response);
+            const retryable = response.status === 429 || (response.status >= 500 && retryServerErrors);
+            if (retryable && attempt < current.maxRetries) {
+                const delayMs = getRetryDelayMs(response, attempt, current.burstWindowMs);
+                console.warn(`⏳ HubSpot ${response.status} on ${method} ${path}, retrying in ${delayMs / 1000}s (${attempt + 1}/${current.maxRetries})`);
+                await response.body?.cancel();
+                await sleep(delayMs);
+                continue;
+            }
+            throw await toError(response, method, path);
+        }
+    };
+
+    // Follows paging.next.after until maxResults items were collected or there are no more pages
+    const paginate = async (path, { query = {}, pageSize = 100, maxResults = Infinity } = {}) => {
+        const results = [];
+        let after;
+        do {
+            const limit = Math.min(pageSize, maxResults - results.length);
+            const page = await request(path, { query: { ...query, limit, after } });
+            results.push(...(page?.results || []));
+            after = page?.paging?.next?.after;
+        } while (after && results.length < maxResults);
+        return results.slice(0, maxResults);
+    };
+
+    // Sends inputs in chunks of BATCH_SIZE and merges results and (207 Multi-Status) errors. Batch
+    // reads and updates (the same values again) are safe to repeat after a 5xx.
+    const batch = async (path, inputs, extraBody = {}) => {
+        const results = [];
+        const errors = [];
+        for (const inputsChunk of chunk(inputs, BATCH_SIZE)) {
+            const data = await request(path, { method: 'POST', body: { ...extraBody, inputs: inputsChunk }, retryServerErrors: true });
+            results.push(...(data?.results || []));
+            errors.push(...(data?.errors || []));
+        }
+        return { results, errors };
+    };
+
+    // CRM search ({ filterGroups, properties, sorts }); paging.next.after is sent back in the body
+    const searchRecords = async (objectType, { filterGroups = [], properties = [], sorts = [], maxResults = Infinity } = {}) => {
+        const results = [];
+        let after;
+        do {
+            const page = await request(`${urls.object}/${objectType}/search`, {
+                method: 'POST',
+                body: { filterGroups, properties, sorts, limit: Math.min(SEARCH_PAGE_SIZE, maxResults - results.length), ...(after && { after }) },
+                // Search only reads
+                retryServerErrors: true
+            });
+            results.push(...(page?.results || []));
+            after = page?.paging?.next?.after;
+        } while (after && results.length < maxResults);
+        return results.slice(0, maxResults);
+    };
+
+    const getSignedFileUrl = async (fileId) => {
+        const data = await request(`${urls.file}/${fileId}/signed-url`);
+        if (!data?.url) throw new HubSpotError(`Failed to get signed URL for file ${fileId}`, { body: data });
+        return data.url;
+    };
+
+    const getFileDetails = (fileId) => request(`${urls.file}/${fileId}`);
+
+    // HubSpot bumps updatedAt whenever a file is replaced, so it serves as the file version
+    const getFileVersion = async (fileId) => {
+        const details = await getFileDetails(fileId);
+        return details.updatedAt || details.createdAt || '';
+    };
+
+    // Writes all given properties of one record in a single PATCH
+    const updateProperties = (objectType, objectId, properties) =>
+        request(`${urls.object}/${objectType}/${objectId}`, { method: 'PATCH', body: { properties: toPropertyValues(properties) } });
+
+    const updateProperty = (objectType, objectId, propertyName, propertyValue) =>
+        updateProperties(objectType, objectId, { [propertyName]: propertyValue });
+
+    // Updates many records of one type through the batch API. inputs: [{ id, properties }]
+    const batchUpdateRecords = (objectType, inputs) => batch(
+        `${urls.object}/${objectType}/batch/update`,
+        inputs.map(({ id, properties }) => ({ id: String(id), properties: toPropertyValues(properties) }))
+    );
+
+    const getHubSpotRecord = (objectType, objectId, properties = '') =>
+        request(`${urls.object}/${objectType}/${objectId}`, { query: { properties } });
+
+    // All associated records ({ results: [{ toObjectId, associationTypes }] }); maxResults stops early
+    const fetchHubSpotAssociatedData = async (objectType, objectId, toObjectType, maxResults = Infinity) => ({
+        results: await paginate(`${urls.association}/${objectType}/${objectId}/associations/${toObjectType}`, { pageSize: 500, maxResults })
+    });
+
+    // The record itself when it is a contact, otherwise its first associated contact (or null)
+    const getAssociatedContactId = async (objectTypeId, recordId) => {
+        const contactType = config.HUBSPOT_CONFIG.objectTypes.contact;
+        if (objectTypeId === contactType) return String(recordId);
+        const associations = await fetchHubSpotAssociatedData(objectTypeId, recordId, contactType, 1);
+        const contactId = associations.results[0]?.toObjectId;
+        return contactId ? String(contactId) : null;
     };
 
-    const response = await fetch(url, {
+    const fetchHubSpotBatchRecords = (objectTypeId, ids, properties, archived = false) => batch(
+        `${urls.object}/${objectTypeId}/batch/read`,
+        ids.map(id => ({ id: id.toString() })),
+        { properties, archived }
+    );
+
+    // Creates a task associated with a contact; dueDate is a Date or ISO string
+    const createContactTask = (contactId, { subject, body, dueDate, priority = 'MEDIUM' }) => request(`${urls.object}/tasks`, {
         method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${config.HUBSPOT_ACCESS_TOKEN}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
+        body: {
+            properties: {
+                hs_timestamp: new Date(dueDate).toISOString(),
+                hs_task_subject: subject,
+                hs_task_body: body,
+                hs_task_status: 'NOT_STARTED',
+                hs_task_priority: priority
+            },
+            associations: [{
+                to: { id: String(contactId) },
+                types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: config.HUBSPOT_CONFIG.associationTypes.taskToContact }]
+            }]
+        }
     });
 
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    return response.json();
-};
+    // { id, email, firstName, lastName } of a HubSpot user (hubspot_owner_id values)
+    const getOwner = (ownerId) => request(`${urls.owner}/${ownerId}`);
 
-export const updateErrorLog = async (objectTypeId, recordId, errorMessage, additionalData = {}) => {
-    const errorData = {
-        error: true,
-        errorMessage: errorMessage,
-        timestamp: new Date().toISOString(),
-        ...additionalData
-    };
+    // Creates a note; the body is HTML, attachmentIds are HubSpot file ids shown on the note
+    const createNote = ({ body, timestamp = new Date(), attachmentIds = [] }) => request(`${urls.object}/notes`, {
+        method: 'POST',
+        body: {
+            properties: {
+                hs_timestamp: new Date(timestamp).toISOString(),
+                hs_note_body: body,
+                ...(attachmentIds.length && { hs_attachment_ids: attachmentIds.join(';') })
+            }
+        }
+    });
 
-    await updateProperty(objectTypeId, recordId, config.HUBSPOT_CONFIG.properties.errorLog, errorData);
-    console.log('Error log updated successfully in HubSpot');
-};
+    // Associates two records with the default (unlabeled) association type of that object pair
+    const associateRecords = (fromObjectType, fromObjectId, toObjectType, toObjectId) =>
+        request(`${urls.association}/${fromObjectType}/${fromObjectId}/associations/default/${toObjectType}/${toObjectId}`, { method: 'PUT' });
 
-export const updateIndividualProperties = async (objectTypeId, recordId, extractedData) => {
-    const fullName = [extractedData?.firstName, extractedData?.lastName].filter(Boolean).join(' ');
-    const propertiesToUpdate = {
-        'extracted_full_name': fullName,
-        'extracted_address': extractedData?.streetAddress,
-        'extracted_dob': extractedData?.dateOfBirth,
-        'extracted_nationality': extractedData?.nationality,
-        'extracted_work_permit_date': extractedData?.workPermitDate,
-        'extracted_work_permit_type': extractedData?.workPermitType
+    // Creates an event from an app's timeline event template on the record objectId
+    const createTimelineEvent = ({ eventTemplateId, objectId, tokens = {}, extraData = {}, timestamp = new Date() }) => request(urls.timeline, {
+        method: 'POST',
+        body: {
+            eventTemplateId: String(eventTemplateId),
+            objectId: String(objectId),
+            timestamp: new Date(timestamp).toISOString(),
+            tokens,
+            extraData
+        }
+    });
+
+    const updateErrorLog = async (objectTypeId, recordId, errorMessage, additionalData = {}) => {
+        await updateProperty(objectTypeId, recordId, config.HUBSPOT_CONFIG.properties.errorLog, buildErrorLog(errorMessage, additionalData));
+        console.log('Error log updated successfully in HubSpot');
     };
 
-    const updates = [];
-    for (const [propertyName, propertyValue] of Object.entries(propertiesToUpdate)) {
-        if (!propertyValue) continue;
+    const updateIndividualProperties = async (objectTypeId, recordId, extractedData, docType = null) => {
+        const properties = buildIndividualProperties(extractedData, docType, objectTypeId);
+        if (!Object.keys(properties).length) return [];
+
         try {
-            await updateProperty(objectTypeId, recordId, propertyName, propertyValue);
-            updates.push({ property: propertyName, success: true });
-            await new Promise(resolve => setTimeout(resolve, 100));
+            await updateProperties(objectTypeId, recordId, properties);
+            return Object.keys(properties).map(property => ({ property, success: true }));
         } catch (error) {
-            updates.push({ property: propertyName, success: false, error: error.message });
+            return Object.keys(properties).map(property => ({ property, success: false, error: error.message }));
         }
-    }
-    return updates;
+    };
+
+    return {
+        request,
+        paginate,
+        searchRecords,
+        getSignedFileUrl,
+        getFileDetails,
+        getFileVersion,
+        updateProperties,
+        updateProperty,
+        batchUpdateRecords,
+        getHubSpotRecord,
+        fetchHubSpotAssociatedData,
+        getAssociatedContactId,
+        fetchHubSpotBatchRecords,
+        createContactTask,
+        getOwner,
+        createNote,
+        associateRecords,
+        createTimelineEvent,
+        updateErrorLog,
+        updateIndividualProperties
+    };
 };
 
+export const buildErrorLog = (errorMessage, additionalData = {}) => ({
+    error: true,
+    errorMessage: errorMessage,
+    timestamp: new Date().toISOString(),
+    ...additionalData
+});
+
+// Mapped document properties with a value (empty values never overwrite CRM data)
+export const buildIndividualProperties = (extractedData, docType = null, objectTypeId = null) => Object.fromEntries(
+    Object.entries(mapToHubSpotProperties(docType, extractedData, objectTypeId)).filter(([, value]) => value || value === 0)
+);
+
+const client = createHubSpotClient();
+
+export const {
+    request,
+    paginate,
+    searchRecords,
+    getSignedFileUrl,
+    getFileDetails,
+    getFileVersion,
+    updateProperties,
+    updateProperty,
+    batchUpdateRecords,
+    getHubSpotRecord,
+    fetchHubSpotAssociatedData,
+    getAssociatedContactId,
+    fetchHubSpotBatchRecords,
+    createContactTask,
+    getOwner,
+    createNote,
+    associateRecords,
+    createTimelineEvent,
+    updateErrorLog,
+    updateIndividualProperties
+} = client;
+
 export const getObjectTypeBySubscription = (subscriptionType) => {
     const subscriptionMap = {
         "contact.propertyChange": config.HUBSPOT_CONFIG.objectTypes.contact,
@@ -134,12 +426,34 @@ export const getObjectTypeBySubscription = (subscriptionType) => {
 };
 
 export default {
+    HubSpotError,
+    NotFoundError,
+    UnauthorizedError,
+    ValidationError,
+    RateLimitedError,
+    createHubSpotClient,
+    request,
+    paginate,
+    searchRecords,
     getSignedFileUrl,
+    getFileDetails,
+    getFileVersion,
+    updateProperties,
     updateProperty,
+    batchUpdateRecords,
     getHubSpotRecord,
     fetchHubSpotAssociatedData,
+    getAssociatedContactId,
     fetchHubSpotBatchRecords,
+    createContactTask,
+    getOwner,
+    createNote,
+    associateRecords,
+    createTimelineEvent,
+    buildErrorLog,
     updateErrorLog,
+    buildIndividualProperties,
     updateIndividualProperties,
-    getObjectTypeBySubscription
+    getObjectTypeBySubscription,
+    verifyWebhookSignature
 };
\ No newline at end of file
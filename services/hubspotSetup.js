@@ -0,0 +1,175 @@
+// services/hubspotSetup.js
+// Works out which custom properties the configured mapping needs on which object types and
+// creates the missing ones, together with their property group, through the CRM properties
+// API. Existing properties are never changed; a type that differs from what the app writes
+// is reported instead.
+import config from '../config/index.js';
+import { REVIEW_STATUS } from '../config/constants.js';
+import * as hubspot from './hubspot.js';
+import { listDocumentProperties } from './propertyMapping.js';
+
+const PROPERTIES_PATH = '/crm/v3/properties';
+
+const TEXT = { type: 'string', fieldType: 'text' };
+const TEXTAREA = { type: 'string', fieldType: 'textarea' };
+const NUMBER = { type: 'number', fieldType: 'number' };
+const DATE = { type: 'date', fieldType: 'date' };
+const enumeration = (values) => ({
+    type: 'enumeration',
+    fieldType: 'select',
+    options: values.map((value, index) => ({ label: value, value, displayOrder: index }))
+});
+
+// Properties the app itself reads or writes, keyed like HUBSPOT_MAPPING.properties.
+// 'documents' stands for setup.documentObjectTypes (records documents are analyzed for).
+const SYSTEM_PROPERTIES = {
+    errorLog: { label: 'Extracted data error log', ...TEXTAREA, objectTypes: ['documents'] },
+    extractedData: { label: 'Extracted data', ...TEXTAREA, objectTypes: ['documents'] },
+    fileId: { label: 'File ID', ...TEXT, objectTypes: ['documents', 'service'] },
+    sendAttachment: { label: 'Send attachment', ...enumeration(['Yes', 'No']), objectTypes: ['service'] },
+    webhookProperty: { label: 'Send documents', ...TEXT, objectTypes: ['deal'] },
+    documentType: { label: 'Extracted document type', ...TEXT, objectTypes: ['documents'] },
+    documentTypeConfidence: { label: 'Extracted document type confidence', ...NUMBER, objectTypes: ['documents'] },
+    reviewStatus: { label: 'Extraction review status', ...enumeration(Object.values(REVIEW_STATUS)), objectTypes: ['documents'] },
+    reconciliationReport: { label: 'Extraction reconciliation report', ...TEXTAREA, objectTypes: ['documents'] },
+    permitExpiryReminder: { label: 'Permit expiry reminder (days)', ...NUMBER, objectTypes: ['contact'] },
+    permitExpiryDate: { label: 'Permit expiry date', ...DATE, objectTypes: ['documents'] },
+    permitReminderSent: { label: 'Permit reminder sent', ...TEXT, objectTypes: ['documents'] },
+    emailSummary: { label: 'Last email summary', ...TEXTAREA, objectTypes: ['deal'] }
+};
+
+const humanize = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' ');
+
+// The HubSpot type a mapped value needs: numbers and ISO/epoch dates are typed, the rest is text
+const typeForSource = ({ transform, options }) => {
+    if (transform === 'number') return NUMBER;
+    if (transform === 'date' && ['YYYY-MM-DD', 'epoch'].includes(options.format)) return DATE;
+    return TEXT;
+};
+
+const resolveObjectTypes = (objectType, mapping) => {
+    if (objectType === '*' || objectType === 'documents') {
+        return (mapping.setup?.documentObjectTypes ?? []).map(name => mapping.objectTypes[name] ?? name);
+    }
+    return [mapping.objectTypes[objectType] ?? objectType];
+};
+
+// Map of objectTypeId -> Map of property name -> definition, plus definitions that disagree
+export const buildRequiredProperties = (mapping = config.HUBSPOT_MAPPING) => {
+    const required = new Map();
+    const conflicts = [];
+
+    const add = (objectTypeId, definition) => {
+        if (!required.has(objectTypeId)) required.set(objectTypeId, new Map());
+        const properties = required.get(objectTypeId);
+        const existing = properties.get(definition.name);
+        if (!existing) return properties.set(definition.name, definition);
+        if (existing.type !== definition.type || existing.fieldType !== definition.fieldType) {
+            conflicts.push({ objectTypeId, name: definition.name, first: existing.usedBy, second: definition.usedBy });
+        }
+    };
+
+    for (const [key, { objectTypes, ...definition }] of Object.entries(SYSTEM_PROPERTIES)) {
+        const name = mapping.properties[key];
+        if (!name) continue;
+        for (const objectType of objectTypes) {
+            for (const objectTypeId of resolveObjectTypes(objectType, mapping)) add(objectTypeId, { name, ...definition, usedBy: `properties.${key}` });
+        }
+    }
+
+    for (const source of listDocumentProperties(mapping)) {
+        for (const objectTypeId of resolveObjectTypes(source.objectType, mapping)) {
+            add(objectTypeId, {
+                name: source.property,
+                label: source.label || humanize(source.property),
+                ...typeForSource(source),
+                usedBy: `documents.${source.docType}.${source.objectType}`
+            });
+        }
+    }
+    return { required, conflicts };
+};
+
+const objectTypeName = (objectTypeId, mapping) =>
+    Object.keys(mapping.objectTypes).find(name => mapping.objectTypes[name] === objectTypeId) || objectTypeId;
+
+// Compares the required properties with the portal; nothing is written
+export const planHubSpotSetup = async ({ mapping = config.HUBSPOT_MAPPING, objectTypes = null } = {}) => {
+    const { groupName, groupLabel } = mapping.setup;
+    const { required, conflicts } = buildRequiredProperties(mapping);
+    const wanted = objectTypes?.map(objectType => mapping.objectTypes[objectType] ?? objectType);
+    const plan = [];
+
+    for (const [objectTypeId, properties] of required) {
+        if (wanted && !wanted.includes(objectTypeId)) continue;
+        const entry = { objectTypeId, objectType: objectTypeName(objectTypeId, mapping), group: null, create: [], existing: [], mismatched: [], error: null };
+        plan.push(entry);
+
+        try {
+            const [{ results: existingProperties }, { results: groups }] = await Promise.all([
+                hubspot.request(`${PROPERTIES_PATH}/${objectTypeId}`),
+                hubspot.request(`${PROPERTIES_PATH}/${objectTypeId}/groups`)
+            ]);
+            const byName = new Map(existingProperties.map(property => [property.name, property]));
+
+            for (const definition of properties.values()) {
+                const current = byName.get(definition.name);
+                if (!current) {
+                    entry.create.push(definition);
+                    continue;
+                }
+                const missingOptions = (definition.options || [])
+                    .filter(option => !(current.options || []).some(existing => existing.value === option.value))
+                    .map(option => option.value);
+                if (current.type !== definition.type || current.fieldType !== definition.fieldType || missingOptions.length) {
+                    entry.mismatched.push({ name: definition.name, expected: definition, actual: { type: current.type, fieldType: current.fieldType }, missingOptions });
+                } else {
+                    entry.existing.push(definition.name);
+                }
+            }
+
+            if (entry.create.length && !groups.some(group => group.name === groupName)) {
+                entry.group = { name: groupName, label: groupLabel || humanize(groupName) };
+            }
+        } catch (error) {
+            entry.error = error.message;
+        }
+    }
+    return { plan, conflicts };
+};
+
+// Creates the planned groups and properties; returns the plan with per-property results
+export const applyHubSpotSetup = async ({ plan }, { mapping = config.HUBSPOT_MAPPING } = {}) => {
+    for (const entry of plan) {
+        if (entry.error) continue;
+
+        if (entry.group) {
+            try {
+                await hubspot.request(`${PROPERTIES_PATH}/${entry.objectTypeId}/groups`, { method: 'POST', body: entry.group });
+                entry.group.created = true;
+            } catch (error) {
+                entry.group.error = error.message;
+            }
+        }
+
+        for (const definition of entry.create) {
+            const { usedBy, ...property } = definition;
+            try {
+                await hubspot.request(`${PROPERTIES_PATH}/${entry.objectTypeId}`, {
+                    method: 'POST',
+                    body: { ...property, groupName: mapping.setup.groupName, description: `Written by document extraction (${usedBy})` }
+                });
+                definition.created = true;
+            } catch (error) {
+                definition.error = error.message;
+            }
+        }
+    }
+    return plan;
+};
+
+export default {
+    buildRequiredProperties,
+    planHubSpotSetup,
+    applyHubSpotSetup
+};
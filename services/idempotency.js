@@ -0,0 +1,83 @@
+// services/idempotency.js
+import config from '../config/index.js';
+import { createFileStore } from '../utils/fileStore.js';
+
+const store = createFileStore('idempotency', { entries: {} });
+
+export const buildKey = (scope, ...parts) => [scope, ...parts.map(part => String(part ?? ''))].join(':');
+
+const pruneExpired = (data) => {
+    const cutoff = Date.now() - config.IDEMPOTENCY_CONFIG.retentionMs;
+    for (const [key, entry] of Object.entries(data.entries)) {
+        if (Date.parse(entry.updatedAt) < cutoff) delete data.entries[key];
+    }
+};
+
+export const getEntry = async (key) => {
+    const data = await store.read();
+    return data.entries[key] || null;
+};
+
+export const isCompleted = async (key) => (await getEntry(key))?.status === 'completed';
+
+// Claims a key for processing; fails while it is completed or held by a live run
+export const claimKey = (key, { force = false } = {}) => store.update(data => {
+    pruneExpired(data);
+    const now = new Date().toISOString();
+    const entry = data.entries[key];
+
+    if (entry && !force) {
+        const held = entry.status === 'processing' &&
+            Date.now() - Date.parse(entry.updatedAt) < config.IDEMPOTENCY_CONFIG.processingTimeoutMs;
+        if (entry.status === 'completed' || held) return { claimed: false, entry };
+    }
+
+    data.entries[key] = { status: 'processing', createdAt: entry?.createdAt || now, updatedAt: now };
+    return { claimed: true };
+});
+
+export const completeKey = (key, details = {}) => store.update(data => {
+    data.entries[key] = {
+        ...data.entries[key],
+        status: 'completed',
+        details,
+        updatedAt: new Date().toISOString()
+    };
+});
+
+export const releaseKey = (key) => store.update(data => {
+    delete data.entries[key];
+});
+
+// Runs fn at most once per key. Returns { duplicate: true, ... } when skipped;
+// a throw or an unsuccessful result releases the key so it can be retried.
+export const runOnce = async (key, fn, { force = false, isSuccess = () => true, describe = () => ({}) } = {}) => {
+    const claim = await claimKey(key, { force });
+    if (!claim.claimed) {
+        console.log(`♻️ Skipping ${key}: already ${claim.entry.status}`);
+        return { duplicate: true, key, previous: claim.entry };
+    }
+
+    try {
+        const result = await fn();
+        if (isSuccess(result)) {
+            await completeKey(key, describe(result));
+        } else {
+            await releaseKey(key);
+        }
+        return result;
+    } catch (error) {
+        await releaseKey(key);
+        throw error;
+    }
+};
+
+export default {
+    buildKey,
+    getEntry,
+    isCompleted,
+    claimKey,
+    completeKey,
+    releaseKey,
+    runOnce
+};
@@ -0,0 +1,187 @@
+// services/jobs.js
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { JOB_STATUS } from '../config/constants.js';
+import { createFileStore } from '../utils/fileStore.js';
+
+const store = createFileStore('jobs', { jobs: {} });
+const handlers = {};
+let workerTimer = null;
+let draining = null;
+
+const getBackoffMs = (attempts) => {
+    const { backoffBaseMs, backoffMaxMs } = config.JOB_QUEUE_CONFIG;
+    return Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+};
+
+// Finished jobs only matter for GET /api/jobs/:id; drop them after JOB_QUEUE_CONFIG.retentionMs
+const pruneFinishedJobs = (data) => {
+    const cutoff = Date.now() - config.JOB_QUEUE_CONFIG.retentionMs;
+    for (const [jobId, job] of Object.entries(data.jobs)) {
+        const finished = job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.DEAD;
+        if (finished && Date.parse(job.updatedAt) < cutoff) delete data.jobs[jobId];
+    }
+};
+
+const updateJob = (jobId, changes) => store.update(data => {
+    Object.assign(data.jobs[jobId], changes, { updatedAt: new Date().toISOString() });
+    return { ...data.jobs[jobId] };
+});
+
+const markProcessing = (job) => {
+    job.status = JOB_STATUS.PROCESSING;
+    job.attempts += 1;
+    job.startedAt = job.updatedAt = new Date().toISOString();
+    return { ...job };
+};
+
+const claimNextJob = () => store.update(data => {
+    const now = Date.now();
+    const job = Object.values(data.jobs)
+        .filter(item => item.status === JOB_STATUS.PENDING && Date.parse(item.runAt) <= now)
+        .sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt))[0];
+    return job ? markProcessing(job) : null;
+});
+
+const runJob = async (job) => {
+    const handler = handlers[job.type];
+    try {
+        if (!handler) throw new Error(`No handler registered for job type: ${job.type}`);
+        const result = await handler(job.payload, job);
+        await updateJob(job.id, {
+            status: JOB_STATUS.COMPLETED,
+            result: result ?? null,
+            lastError: null,
+            completedAt: new Date().toISOString()
+        });
+        console.log(`✅ Job ${job.id} (${job.type}) completed`);
+    } catch (error) {
+        if (job.attempts >= job.maxAttempts) {
+            await updateJob(job.id, { status: JOB_STATUS.DEAD, lastError: error.message });
+            console.error(`💀 Job ${job.id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, error.message);
+            return;
+        }
+
+        const delay = getBackoffMs(job.attempts);
+        await updateJob(job.id, {
+            status: JOB_STATUS.PENDING,
+            lastError: error.message,
+            runAt: new Date(Date.now() + delay).toISOString()
+        });
+        console.warn(`🔁 Job ${job.id} (${job.type}) failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay / 1000}s:`, error.message);
+    }
+};
+
+export const registerJobHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+const buildJob = (type, payload, options = {}) => {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        status: JOB_STATUS.PENDING,
+        attempts: 0,
+        maxAttempts: options.maxAttempts || config.JOB_QUEUE_CONFIG.maxAttempts,
+        runAt: now,
+        lastError: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    };
+};
+
+export const enqueueJob = async (type, payload, options = {}) => {
+    const job = buildJob(type, payload, options);
+    await store.update(data => {
+        pruneFinishedJobs(data);
+        data.jobs[job.id] = job;
+    });
+
+    // Pick the job up right away instead of waiting for the next poll
+    if (workerTimer) setImmediate(() => processPendingJobs().catch(() => {}));
+    return job;
+};
+
+export const getJob = async (jobId) => {
+    const data = await store.read();
+    return data.jobs[jobId] || null;
+};
+
+// Records the job and runs it right away in the caller, once: it ends up completed or dead, and
+// the caller decides how a failure is retried. The job stays visible in GET /api/jobs/:id.
+export const runJobInline = async (type, payload) => {
+    const job = buildJob(type, payload, { maxAttempts: 1 });
+    // Stored as processing right away, so the worker never claims it as well
+    const claimed = await store.update(data => {
+        pruneFinishedJobs(data);
+        data.jobs[job.id] = job;
+        return markProcessing(job);
+    });
+    await runJob(claimed);
+    return getJob(job.id);
+};
+
+export const recoverStaleJobs = () => store.update(data => {
+    pruneFinishedJobs(data);
+    const cutoff = Date.now() - config.JOB_QUEUE_CONFIG.staleAfterMs;
+    const stale = Object.values(data.jobs)
+        .filter(job => job.status === JOB_STATUS.PROCESSING && Date.parse(job.startedAt) < cutoff);
+
+    for (const job of stale) {
+        job.status = JOB_STATUS.PENDING;
+        job.runAt = job.updatedAt = new Date().toISOString();
+        job.lastError = 'Worker stopped while processing';
+    }
+    return stale.length;
+});
+
+export const processPendingJobs = async ({ maxJobs = Infinity } = {}) => {
+    if (draining) return draining;
+
+    draining = (async () => {
+        await recoverStaleJobs();
+        let processed = 0;
+        while (processed < maxJobs) {
+            const job = await claimNextJob();
+            if (!job) break;
+            await runJob(job);
+            processed++;
+        }
+        return processed;
+    })().finally(() => {
+        draining = null;
+    });
+
+    return draining;
+};
+
+export const startJobWorker = () => {
+    if (workerTimer || !config.JOB_QUEUE_CONFIG.workerEnabled) return;
+
+    const tick = () => processPendingJobs().catch(error => {
+        console.error('Job worker error:', error);
+    });
+
+    workerTimer = setInterval(tick, config.JOB_QUEUE_CONFIG.pollIntervalMs);
+    tick();
+    console.log(`👷 Job worker started (polling every ${config.JOB_QUEUE_CONFIG.pollIntervalMs / 1000}s)`);
+};
+
+export const stopJobWorker = () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+};
+
+export default {
+    registerJobHandler,
+    enqueueJob,
+    getJob,
+    runJobInline,
+    recoverStaleJobs,
+    processPendingJobs,
+    startJobWorker,
+    stopJobWorker
+};
@@ -0,0 +1,163 @@
+// services/llmProviders.js
+// Vision/document extraction adapters. Every provider speaks the chat-completions protocol
+// and exposes the same interface:
+//   documentParts(document) -> { parts, uploadedFileIds }  message parts for { url, fileType }
+//   complete(prompt, parts, schemaName, schema) -> object   JSON that matches schema
+// Upload-mode providers also expose deleteUploadedFile(fileId) and listUploadedFiles().
+// They differ in how documents reach the model (pdfMode):
+//   'upload' - PDF stored with the provider's Files API, images passed by URL (OpenAI)
+//   'inline' - PDF sent base64 in the request, nothing stored provider-side (Azure OpenAI)
+//   'images' - PDF rendered to page images and everything sent base64 (local models)
+import OpenAI, { AzureOpenAI, toFile } from "openai";
+import config from '../config/index.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { cleanJSONResponse, downloadBuffer, renderPdfPages } from '../utils/helpers.js';
+
+export const LLM_PROVIDERS = ['openai', 'azure', 'local'];
+
+// Uploads are named so the artifact sweep can tell our files from anything else in the account;
+// LEGACY_UPLOAD_PATTERN matches uploads made from temp files before they were named
+export const UPLOAD_FILENAME_PREFIX = 'doc-extraction-';
+export const LEGACY_UPLOAD_PATTERN = /^file_\d+_[a-z0-9]+\.pdf$/;
+
+const toDataUrl = (buffer, mimeType) => `data:${mimeType};base64,${Buffer.from(buffer).toString('base64')}`;
+
+// Extension-less signed URLs still need a mime type for data URLs
+const imageMimeType = (url) => {
+    const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+    return { jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp' }[extension] || 'image/png';
+};
+
+const createChatProvider = ({ name, client, model, maxTokens, pdfMode, inlineImages = false, structuredOutputs = true, pdfRendering = {} }) => {
+    const documentParts = async (document) => {
+        if (document.fileType === "image") {
+            const url = inlineImages
+                ? toDataUrl(await downloadBuffer(document.url), imageMimeType(document.url))
+                : document.url;
+            return { parts: [{ type: "image_url", image_url: { url } }], uploadedFileIds: [] };
+        }
+
+        const buffer = await downloadBuffer(document.url);
+        if (pdfMode === 'images') {
+            const pages = await renderPdfPages(buffer, pdfRendering);
+            return {
+                parts: pages.map(page => ({ type: "image_url", image_url: { url: toDataUrl(page, 'image/png') } })),
+                uploadedFileIds: []
+            };
+        }
+
+        if (pdfMode === 'inline') {
+            return {
+                parts: [{ type: "file", file: { filename: "document.pdf", file_data: toDataUrl(buffer, 'application/pdf') } }],
+                uploadedFileIds: []
+            };
+        }
+
+        const uploadedFile = await client.files.create({
+            file: await toFile(buffer, `${UPLOAD_FILENAME_PREFIX}${Date.now()}.pdf`, { type: "application/pdf" }),
+            purpose: "assistants",
+        });
+        return { parts: [{ type: "file", file: { file_id: uploadedFile?.id } }], uploadedFileIds: [uploadedFile?.id] };
+    };
+
+    const complete = async (prompt, parts, schemaName, schema) => {
+        const responseFormat = structuredOutputs
+            ? { type: "json_schema", json_schema: { name: schemaName, schema, strict: true } }
+            : { type: "json_object" };
+        const text = structuredOutputs
+            ? prompt
+            : `${prompt}\n\nRespond with a JSON object that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+
+        const response = await client.chat.completions.create({
+            model,
+            messages: [{ role: "user", content: [{ type: "text", text }, ...parts] }],
+            max_tokens: maxTokens,
+            response_format: responseFormat
+        });
+
+        const choice = response?.choices[0];
+        // Truncated JSON would only fail in JSON.parse with a meaningless position
+        if (choice?.finish_reason === 'length') {
+            throw new Error(`${ERROR_MESSAGES.LLM_OUTPUT_TRUNCATED} (${name}, ${schemaName}, max_tokens ${maxTokens}); raise LLM_MAX_TOKENS or send fewer pages`);
+        }
+        return JSON.parse(cleanJSONResponse(choice?.message?.content));
+    };
+
+    // Only providers that store uploads need (and support) the Files API lifecycle
+    const fileLifecycle = pdfMode === 'upload' && {
+        deleteUploadedFile: (fileId) => client.files.delete(fileId),
+        listUploadedFiles: async () => {
+            const files = [];
+            for await (const file of client.files.list({ purpose: "assistants" })) {
+                files.push({ id: file.id, filename: file.filename, createdAt: file.created_at * 1000 });
+            }
+            return files;
+        }
+    };
+
+    return { name, model, pdfMode, documentParts, complete, ...fileLifecycle };
+};
+
+const PROVIDER_FACTORIES = {
+    openai: () => {
+        if (!config.OPENAI_API_KEY) throw new Error('OpenAI provider is not configured (OPENAI_API_KEY)');
+        return createChatProvider({
+            name: 'openai',
+            client: new OpenAI({ apiKey: config.OPENAI_API_KEY }),
+            model: config.OPENAI_CONFIG.model,
+            maxTokens: config.OPENAI_CONFIG.maxTokens,
+            pdfMode: 'upload'
+        });
+    },
+    azure: () => {
+        const { endpoint, apiKey, apiVersion, deployment, maxTokens } = config.AZURE_OPENAI_CONFIG;
+        if (!endpoint || !apiKey || !deployment) {
+            throw new Error('Azure OpenAI provider is not configured (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT)');
+        }
+        return createChatProvider({
+            name: 'azure',
+            client: new AzureOpenAI({ endpoint, apiKey, apiVersion }),
+            model: deployment,
+            maxTokens,
+            pdfMode: 'inline'
+        });
+    },
+    local: () => {
+        const { baseUrl, apiKey, model, maxTokens, structuredOutputs, maxPdfPages, pdfScale } = config.LOCAL_LLM_CONFIG;
+        if (!model) throw new Error('Local LLM provider is not configured (LOCAL_LLM_MODEL)');
+        return createChatProvider({
+            name: 'local',
+            client: new OpenAI({ baseURL: baseUrl, apiKey }),
+            model,
+            maxTokens,
+            pdfMode: 'images',
+            inlineImages: true,
+            structuredOutputs,
+            pdfRendering: { scale: pdfScale, maxPages: maxPdfPages }
+        });
+    }
+};
+
+const providers = new Map();
+
+// Providers are created on first use so a missing key only matters for backends actually used
+export const getProvider = (name) => {
+    if (!PROVIDER_FACTORIES[name]) throw new Error(`Unknown LLM provider: ${name}`);
+    if (!providers.has(name)) providers.set(name, PROVIDER_FACTORIES[name]());
+    return providers.get(name);
+};
+
+// The provider being unreachable, overloaded or refusing our credentials; anything else
+// (bad input, invalid JSON) would fail the same way on the next provider too
+export const isProviderUnavailable = (error) =>
+    error instanceof OpenAI.APIConnectionError ||
+    [401, 403, 429].includes(error?.status) ||
+    error?.status >= 500;
+
+export default {
+    LLM_PROVIDERS,
+    UPLOAD_FILENAME_PREFIX,
+    LEGACY_UPLOAD_PATTERN,
+    getProvider,
+    isProviderUnavailable
+};
@@ -0,0 +1,188 @@
+// services/mrzExtraction.js
+// Offline extraction backend: OCR (tesseract.js) + MRZ parsing. Needs no OpenAI access
+// and returns the same result shape as analysis.analyzeDocument.
+import path from 'path';
+import { createRequire } from 'module';
+import config from '../config/index.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { validateExtractedData } from './validation.js';
+import { findMrz, parseMrz } from '../utils/mrz.js';
+import { downloadBuffer, renderPdfPages } from '../utils/helpers.js';
+
+export const MRZ_DOC_TYPES = ['swiss_permit', 'passport', 'id_card'];
+
+const MRZ_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<';
+
+const require = createRequire(import.meta.url);
+// One worker for the whole process; starting one loads the language model (seconds)
+let workerPromise = null;
+
+// Fields guarded by their own check digit
+const CHECKED_FIELDS = {
+    dateOfBirth: 'birthDate',
+    documentNumber: 'documentNumber',
+    expiryDate: 'expiryDate',
+    workPermitDate: 'expiryDate'
+};
+
+const titleCase = (value) => value
+    ? value.toLowerCase().replace(/(^|[\s-])\p{L}/gu, match => match.toUpperCase())
+    : null;
+
+// Passports start with "P". Swiss permits are cards issued by CHE to a foreign national;
+// any other I/A/C/R card is treated as an identity card.
+const docTypeFromMrz = (mrz) => {
+    if (mrz.documentCode.startsWith('P')) return 'passport';
+    if (!/^[IACR]/.test(mrz.documentCode)) return null;
+    return mrz.issuingCountry === 'CHE' && mrz.nationality !== 'CHE' ? 'swiss_permit' : 'id_card';
+};
+
+const toExtractedFields = (mrz) => ({
+    firstName: titleCase(mrz.firstName),
+    lastName: titleCase(mrz.lastName),
+    dateOfBirth: mrz.birthDate,
+    nationality: mrz.nationality,
+    documentNumber: mrz.documentNumber,
+    issuingCountry: mrz.issuingCountry,
+    expiryDate: mrz.expiryDate,
+    workPermitDate: mrz.expiryDate
+});
+
+const getFieldConfidence = (mrz, field) => {
+    if (CHECKED_FIELDS[field]) return mrz.checks[CHECKED_FIELDS[field]] ? 0.99 : 0.3;
+    // Names and countries are only covered by the composite digit, if at all
+    return mrz.valid ? 0.85 : 0.5;
+};
+
+const loadPageImages = async (document) => {
+    const buffer = await downloadBuffer(document.url);
+    if (document.fileType === 'image') return [buffer];
+    return renderPdfPages(buffer, { scale: config.OCR_CONFIG.pdfScale, maxPages: config.OCR_CONFIG.maxPdfPages });
+};
+
+// The LSTM model (OEM 1) of the bundled @tesseract.js-data/eng package unless OCR_LANG_PATH is
+// set, so OCR never downloads language data at run time
+const resolveLangPath = () => config.OCR_CONFIG.langPath ||
+    path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+
+const getWorker = () => {
+    if (!workerPromise) {
+        workerPromise = (async () => {
+            const { createWorker } = await import('tesseract.js');
+            const worker = await createWorker('eng', 1, {
+                langPath: resolveLangPath(),
+                cachePath: config.OCR_CONFIG.cachePath,
+                // Without a handler tesseract.js rethrows job errors outside the promise and crashes the process
+                errorHandler: error => console.error('❌ OCR error:', error)
+            });
+            await worker.setParameters({ tessedit_char_whitelist: MRZ_CHARACTERS });
+            return worker;
+        })();
+        // A worker that failed to start is not kept; the next document tries again
+        workerPromise.catch(() => { workerPromise = null; });
+    }
+    return workerPromise;
+};
+
+export const terminateOcrWorker = async () => {
+    const pending = workerPromise;
+    workerPromise = null;
+    if (pending) await (await pending.catch(() => null))?.terminate();
+};
+
+// The worker queues jobs, so concurrent documents share it without interfering
+const recognizeTexts = async (images) => {
+    const worker = await getWorker();
+    const texts = [];
+    for (const image of images) {
+        const { data } = await worker.recognize(image);
+        texts.push(data.text);
+    }
+    return texts;
+};
+
+// documents: [{ url, fileType, fileId }] as passed to analysis.analyzeDocument
+export const extractDocument = async (documents, { docType = null } = {}) => {
+    const pageImages = [];
+    for (const [index, document] of documents.entries()) {
+        const images = await loadPageImages(document);
+        images.forEach((image, pageIndex) => pageImages.push({
+            source: index + 1,
+            page: pageIndex + 1,
+            fileId: document.fileId ?? null,
+            image
+        }));
+    }
+
+    const texts = await recognizeTexts(pageImages.map(page => page.image));
+    const pages = pageImages.map(({ image, ...page }, index) => {
+        const found = findMrz(texts[index]);
+        return { ...page, mrz: found ? parseMrz(found) : null };
+    });
+
+    // Prefer a zone whose check digits all pass; otherwise take the first one found
+    const best = pages.find(page => page.mrz?.valid) || pages.find(page => page.mrz);
+    if (!best) throw new Error(ERROR_MESSAGES.MRZ_NOT_FOUND);
+
+    const { mrz } = best;
+    const detectedDocType = docTypeFromMrz(mrz);
+    const classification = docType ? null : {
+        // The MRZ does not carry the permit category (B, C, L, G), hence the generic 'permit' class
+        documentClass: detectedDocType === 'swiss_permit' ? 'permit' : (detectedDocType || 'unrelated'),
+        docType: detectedDocType,
+        confidence: mrz.valid ? 1 : 0.7,
+        reason: `${mrz.format} machine-readable zone with document code ${mrz.documentCode}`
+    };
+    const pageSummary = pages.map(({ source, page, mrz: pageMrz }) => ({ source, page, relevant: Boolean(pageMrz) }));
+    const resolvedDocType = docType || detectedDocType;
+    console.log(`🔎 Found ${mrz.format} MRZ on source ${best.source} page ${best.page} (check digits ${mrz.valid ? 'ok' : 'failed'})`);
+
+    if (!resolvedDocType) {
+        return {
+            docType: null,
+            classification,
+            extractedData: null,
+            fieldConfidence: {},
+            fieldSources: {},
+            validationErrors: [],
+            pages: pageSummary,
+            backend: 'mrz'
+        };
+    }
+
+    if (!MRZ_DOC_TYPES.includes(resolvedDocType)) {
+        throw new Error(`MRZ extraction does not support document type: ${resolvedDocType}`);
+    }
+
+    const { data, validationErrors } = validateExtractedData(resolvedDocType, toExtractedFields(mrz));
+    const failedChecks = Object.entries(mrz.checks).filter(([, passed]) => !passed).map(([check]) => check);
+    if (failedChecks.length) {
+        validationErrors.push({
+            field: null,
+            value: failedChecks,
+            code: 'mrz_check_digit',
+            message: `MRZ check digit mismatch: ${failedChecks.join(', ')}`
+        });
+    }
+
+    const source = { source: best.source, fileId: best.fileId, page: best.page };
+    return {
+        docType: resolvedDocType,
+        classification,
+        extractedData: data,
+        fieldConfidence: Object.fromEntries(Object.keys(data).map(field => [
+            field,
+            data[field] === null ? 0 : getFieldConfidence(mrz, field)
+        ])),
+        fieldSources: Object.fromEntries(Object.keys(data).map(field => [field, data[field] === null ? null : source])),
+        validationErrors,
+        pages: pageSummary,
+        backend: 'mrz'
+    };
+};
+
+export default {
+    MRZ_DOC_TYPES,
+    extractDocument,
+    terminateOcrWorker
+};
@@ -0,0 +1,277 @@
+// services/permits.js
+// Permit expiry reminders. The expiry date is written to the record's permitExpiryDate property
+// together with the extracted data, and a run finds the due permits with a CRM search on it, so
+// reminders need no local state and work from a fresh serverless instance. A run sends the most
+// urgent due reminder (PERMIT_REMINDER_CONFIG.reminderDays) per record and then sets the record's
+// permitReminderSent property to "<expiry date>:<threshold>". Emails and tasks also go through
+// the idempotency ledger, so overlapping runs never send a reminder twice; the contact property
+// is written for all records of a run in one batch update (writing it twice is harmless).
+import config from '../config/index.js';
+import { getDocumentSchema } from './schemaRegistry.js';
+import * as hubspot from './hubspot.js';
+import * as emailComposer from './emailComposer.js';
+import * as idempotency from './idempotency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let schedulerTimer = null;
+let running = null;
+
+// DD.MM.YYYY (validated extraction format) -> YYYY-MM-DD
+const toIsoDate = (value) => {
+    const match = typeof value === 'string' && value.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+    return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+};
+
+// HubSpot returns date properties as YYYY-MM-DD or midnight UTC in epoch milliseconds
+const fromHubSpotDate = (value) => {
+    if (!value) return null;
+    return /^\d+$/.test(value) ? new Date(Number(value)).toISOString().slice(0, 10) : String(value).slice(0, 10);
+};
+
+const toDisplayDate = (isoDate) => isoDate.split('-').reverse().join('.');
+
+const addDays = (isoDate, days) => new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysUntil = (isoDate, today) => Math.round((Date.parse(isoDate) - Date.parse(today)) / DAY_MS);
+
+// Records documents are analyzed for (HUBSPOT_MAPPING.setup.documentObjectTypes)
+const getDocumentObjectTypes = () => (config.HUBSPOT_MAPPING.setup?.documentObjectTypes ?? [])
+    .map(objectType => config.HUBSPOT_CONFIG.objectTypes[objectType] ?? objectType);
+
+// The expiry property for a record's PATCH, or {} when the document type has no expiry or it is missing
+export const buildPermitProperties = (docType, extractedData) => {
+    const { expiryField } = getDocumentSchema(docType);
+    const property = config.HUBSPOT_CONFIG.properties.permitExpiryDate;
+    const expiryDate = expiryField ? toIsoDate(extractedData?.[expiryField]) : null;
+    return property && expiryDate ? { [property]: expiryDate } : {};
+};
+
+// "<expiry date>:<threshold>" of the latest reminder; only counts for the current expiry date,
+// so a renewed permit starts a new reminder cycle
+export const parseReminderSent = (value, expiryDate) => {
+    const [date, threshold] = String(value ?? '').split(':');
+    return date === expiryDate && threshold ? Number(threshold) : null;
+};
+
+const toPermit = (objectTypeId, record, today) => {
+    const { extractedData, permitExpiryDate, permitReminderSent } = config.HUBSPOT_CONFIG.properties;
+    let data = {};
+    try {
+        data = JSON.parse(record.properties[extractedData] || '{}') ?? {};
+    } catch {
+        // Holder and permit type are only for the reminder text
+    }
+    const expiryDate = fromHubSpotDate(record.properties[permitExpiryDate]);
+    return {
+        objectTypeId,
+        recordId: String(record.id),
+        holderName: [data.firstName, data.lastName].filter(Boolean).join(' ') || null,
+        permitType: data.workPermitType ?? null,
+        expiryDate,
+        daysLeft: daysUntil(expiryDate, today),
+        reminderSent: parseReminderSent(record.properties[permitReminderSent], expiryDate)
+    };
+};
+
+// Permits expiring within `days` (today = YYYY-MM-DD), soonest first, with daysLeft, read from HubSpot
+export const listExpiring = async ({ days, includeExpired = false, today = new Date().toISOString().slice(0, 10) }) => {
+    const { extractedData, permitExpiryDate, permitReminderSent } = config.HUBSPOT_CONFIG.properties;
+    if (!permitExpiryDate) return [];
+
+    const until = Date.parse(addDays(today, days));
+    const filters = includeExpired
+        ? [{ propertyName: permitExpiryDate, operator: 'LTE', value: String(until) }]
+        : [{ propertyName: permitExpiryDate, operator: 'BETWEEN', value: String(Date.parse(today)), highValue: String(until) }];
+
+    const permits = [];
+    for (const objectTypeId of getDocumentObjectTypes()) {
+        const records = await hubspot.searchRecords(objectTypeId, {
+            filterGroups: [{ filters }],
+            properties: [permitExpiryDate, permitReminderSent, extractedData].filter(Boolean),
+            sorts: [{ propertyName: permitExpiryDate, direction: 'ASCENDING' }]
+        });
+        permits.push(...records.map(record => toPermit(objectTypeId, record, today)));
+    }
+    return permits.sort((a, b) => a.daysLeft - b.daysLeft);
+};
+
+// The smallest threshold already reached, unless it (or a smaller one) was already sent
+export const getDueThreshold = (permit) => {
+    if (permit.daysLeft < 0) return null;
+    const due = config.PERMIT_REMINDER_CONFIG.reminderDays.filter(days => permit.daysLeft <= days);
+    if (!due.length) return null;
+    const threshold = Math.min(...due);
+    return permit.reminderSent !== null && permit.reminderSent <= threshold ? null : threshold;
+};
+
+const REMINDER_ACTIONS = {
+    // Recipients: EMAIL_CONFIG.recipients.permit_reminder, else PERMIT_REMINDER_EMAIL_TO
+    email: async (permit, { templateData }) => {
+        const result = await emailComposer.sendTemplatedEmail('permit_reminder', {
+            contactId: permit.contactId,
+            data: templateData,
+            fallbackRecipient: config.PERMIT_REMINDER_CONFIG.emailTo
+        });
+        return { emailId: result.emailId, to: result.recipients.filter(recipient => recipient.success).map(recipient => recipient.to) };
+    },
+    task: async (permit, { subject, message, threshold }) => {
+        if (!permit.contactId) throw new Error('No contact associated with record');
+        const task = await hubspot.createContactTask(permit.contactId, {
+            subject,
+            body: message,
+            dueDate: permit.expiryDate,
+            priority: threshold <= 7 ? 'HIGH' : 'MEDIUM'
+        });
+        return { taskId: task.id };
+    }
+};
+
+// Sets the reminder property on every contact of the run with one batch update and adds the
+// outcome to each result's actions. A contact with several due permits gets the most urgent threshold.
+const updateReminderProperties = async (results) => {
+    const thresholds = new Map();
+    for (const result of results) {
+        if (!result.contactId) continue;
+        const current = thresholds.get(result.contactId);
+        thresholds.set(result.contactId, current === undefined ? result.threshold : Math.min(current, result.threshold));
+    }
+
+    let updatedIds = new Set();
+    let batchError = null;
+    if (thresholds.size) {
+        try {
+            const { results: updated } = await hubspot.batchUpdateRecords(
+                config.HUBSPOT_CONFIG.objectTypes.contact,
+                [...thresholds].map(([id, threshold]) => ({
+                    id,
+                    properties: { [config.HUBSPOT_CONFIG.properties.permitExpiryReminder]: String(threshold) }
+                }))
+            );
+            updatedIds = new Set(updated.map(record => String(record.id)));
+        } catch (error) {
+            batchError = error.message;
+        }
+    }
+
+    for (const result of results) {
+        const error = !result.contactId ? 'No contact associated with record'
+            : batchError || (!updatedIds.has(result.contactId) && 'Contact update rejected by HubSpot');
+        result.actions.push(error
+            ? { action: 'property', success: false, error }
+            : { action: 'property', success: true, contactId: result.contactId });
+    }
+};
+
+const sendReminder = async (permit, threshold) => {
+    const contactId = await hubspot.getAssociatedContactId(permit.objectTypeId, permit.recordId);
+    const target = { ...permit, contactId };
+    const holder = permit.holderName || `record ${permit.recordId}`;
+    const content = {
+        threshold,
+        templateData: {
+            permit: {
+                holder,
+                permitType: permit.permitType,
+                recordId: permit.recordId,
+                expiryDate: toDisplayDate(permit.expiryDate),
+                daysLeft: permit.daysLeft,
+                threshold
+            }
+        },
+        subject: `Work permit expires in ${permit.daysLeft} days: ${holder}`,
+        message: `The ${permit.permitType ? `${permit.permitType} ` : ''}permit of ${holder} (record ${permit.recordId}) expires on ${toDisplayDate(permit.expiryDate)}. Please request the renewed permit.`
+    };
+
+    const actions = [];
+    for (const action of config.PERMIT_REMINDER_CONFIG.actions.filter(name => REMINDER_ACTIONS[name])) {
+        const key = idempotency.buildKey('permit-reminder', permit.objectTypeId, permit.recordId, permit.expiryDate, threshold, action);
+        try {
+            const result = await idempotency.runOnce(key, () => REMINDER_ACTIONS[action](target, content), { describe: details => details });
+            actions.push({ action, success: true, duplicate: Boolean(result?.duplicate) });
+        } catch (error) {
+            actions.push({ action, success: false, error: error.message });
+        }
+    }
+
+    return { objectTypeId: permit.objectTypeId, recordId: permit.recordId, expiryDate: permit.expiryDate, contactId, threshold, daysLeft: permit.daysLeft, actions };
+};
+
+// Marks the reminders on their records, one batch update per object type. Failed reminders stay
+// unmarked and are retried by the next run; the ledger skips the actions that worked.
+const recordResults = async (results) => {
+    const property = config.HUBSPOT_CONFIG.properties.permitReminderSent;
+    if (!property) return;
+    const byObjectType = new Map();
+    for (const result of results.filter(item => item.success)) {
+        if (!byObjectType.has(result.objectTypeId)) byObjectType.set(result.objectTypeId, []);
+        byObjectType.get(result.objectTypeId).push({ id: result.recordId, properties: { [property]: `${result.expiryDate}:${result.threshold}` } });
+    }
+
+    for (const [objectTypeId, inputs] of byObjectType) {
+        try {
+            const { errors } = await hubspot.batchUpdateRecords(objectTypeId, inputs);
+            if (errors.length) console.error(`Error marking permit reminders on ${objectTypeId}:`, errors.map(error => error.message).join('; '));
+        } catch (error) {
+            console.error(`Error marking permit reminders on ${objectTypeId}:`, error.message);
+        }
+    }
+};
+
+const runDueReminders = async (today) => {
+    const maxDays = Math.max(...config.PERMIT_REMINDER_CONFIG.reminderDays);
+    const permits = await listExpiring({ days: maxDays, today });
+    const results = [];
+
+    for (const permit of permits) {
+        const threshold = getDueThreshold(permit);
+        if (threshold === null) continue;
+        try {
+            results.push(await sendReminder(permit, threshold));
+        } catch (error) {
+            results.push({ objectTypeId: permit.objectTypeId, recordId: permit.recordId, expiryDate: permit.expiryDate, contactId: null, threshold, daysLeft: permit.daysLeft, actions: [], error: error.message });
+        }
+    }
+
+    if (config.PERMIT_REMINDER_CONFIG.actions.includes('property')) {
+        await updateReminderProperties(results.filter(result => !result.error));
+    }
+    for (const result of results) result.success = !result.error && result.actions.every(action => action.success);
+    await recordResults(results);
+
+    const failed = results.filter(result => !result.success).length;
+    if (results.length) console.log(`⏰ Permit reminders: ${results.length - failed} sent, ${failed} failed`);
+    return { checked: permits.length, sent: results.length - failed, failed, results };
+};
+
+// Concurrent calls (cron + in-process timer) share one run
+export const runReminders = ({ today = new Date().toISOString().slice(0, 10) } = {}) => {
+    if (!running) running = runDueReminders(today).finally(() => { running = null; });
+    return running;
+};
+
+export const startPermitScheduler = () => {
+    if (schedulerTimer || !config.PERMIT_REMINDER_CONFIG.schedulerEnabled) return;
+
+    const tick = () => runReminders().catch(error => {
+        console.error('Permit scheduler error:', error);
+    });
+
+    schedulerTimer = setInterval(tick, config.PERMIT_REMINDER_CONFIG.intervalMs);
+    tick();
+    console.log(`⏰ Permit scheduler started (every ${config.PERMIT_REMINDER_CONFIG.intervalMs / 3600000}h, reminders at ${config.PERMIT_REMINDER_CONFIG.reminderDays.join('/')} days)`);
+};
+
+export const stopPermitScheduler = () => {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+};
+
+export default {
+    buildPermitProperties,
+    parseReminderSent,
+    listExpiring,
+    getDueThreshold,
+    runReminders,
+    startPermitScheduler,
+    stopPermitScheduler
+};
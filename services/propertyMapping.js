@@ -0,0 +1,149 @@
+// services/propertyMapping.js
+// Maps extracted fields to HubSpot properties as configured in HUBSPOT_MAPPING.documents:
+//   { "<docType>": { "<objectType>|*": { "<property>": <source> } } }
+// The object type is a name from HUBSPOT_MAPPING.objectTypes ("contact") or an id ("0-1");
+// "*" applies to every other object type. A source is a field name or
+//   { "field": "dateOfBirth", "transform": "date", "format": "YYYY-MM-DD" }
+//   { "fields": ["firstName", "lastName"], "transform": "join", "separator": " " }
+// Object sources may also set the "label" `npm run hubspot:setup` gives the property.
+import config from '../config/index.js';
+import { getDocumentSchema, hasDocumentType, normalizeDocType } from './schemaRegistry.js';
+
+const PROPERTY_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const OBJECT_TYPE_ID_PATTERN = /^(\d+-\d+|p_[a-z0-9_]+)$/i;
+
+// Extracted dates are DD.MM.YYYY (services/validation.js)
+const DATE_FORMATS = {
+    'DD.MM.YYYY': (day, month, year) => `${day}.${month}.${year}`,
+    'YYYY-MM-DD': (day, month, year) => `${year}-${month}-${day}`,
+    // HubSpot date properties also take midnight UTC in epoch milliseconds
+    epoch: (day, month, year) => Date.UTC(Number(year), Number(month) - 1, Number(day))
+};
+
+// apply(values, options): values holds one entry per source field
+export const PROPERTY_TRANSFORMS = {
+    join: {
+        multipleFields: true,
+        validate: ({ separator }) => separator === undefined || typeof separator === 'string' ? null : 'separator must be a string',
+        apply: (values, { separator = ' ' }) => values.filter(Boolean).join(separator) || null
+    },
+    date: {
+        validate: ({ format }) => format === undefined || DATE_FORMATS[format] ? null : `format must be one of ${Object.keys(DATE_FORMATS).join(', ')}`,
+        apply: ([value], { format = 'DD.MM.YYYY' }) => {
+            const match = typeof value === 'string' && value.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+            return match ? DATE_FORMATS[format](match[1], match[2], match[3]) : null;
+        }
+    },
+    uppercase: { apply: ([value]) => value ? String(value).toUpperCase() : null },
+    lowercase: { apply: ([value]) => value ? String(value).toLowerCase() : null },
+    // "5'400.00 CHF" -> 5400
+    number: {
+        apply: ([value]) => {
+            const match = value ? String(value).replace(/['’\s]/g, '').match(/-?\d+(?:[.,]\d+)?/) : null;
+            return match ? Number(match[0].replace(',', '.')) : null;
+        }
+    }
+};
+
+const toSource = (source) => typeof source === 'string' ? { fields: [source] } : { ...source, fields: source.fields ?? [source.field] };
+
+const getFieldMapping = (docType, objectTypeId) => {
+    const documentMapping = config.HUBSPOT_MAPPING.documents?.[docType] ?? {};
+    const objectTypeName = Object.keys(config.HUBSPOT_CONFIG.objectTypes)
+        .find(name => config.HUBSPOT_CONFIG.objectTypes[name] === objectTypeId);
+    return documentMapping[objectTypeId] ?? documentMapping[objectTypeName] ?? documentMapping['*'] ?? {};
+};
+
+// { property: value } for one record; objectTypeId picks the object-type specific mapping
+export const mapToHubSpotProperties = (docType, extractedData, objectTypeId = null) => {
+    const fieldMapping = getFieldMapping(getDocumentSchema(docType).docType, objectTypeId);
+    return Object.fromEntries(Object.entries(fieldMapping).map(([propertyName, source]) => {
+        const { fields, transform, label, ...options } = toSource(source);
+        const values = fields.map(field => extractedData?.[field] ?? null);
+        return [propertyName, transform ? PROPERTY_TRANSFORMS[transform].apply(values, options) : values[0]];
+    }));
+};
+
+// Every mapped property: { docType, objectType ('*', a name or an id), property, fields, transform, options, label }
+export const listDocumentProperties = (mapping = config.HUBSPOT_MAPPING) =>
+    Object.entries(mapping.documents ?? {}).flatMap(([docType, byObjectType]) =>
+        Object.entries(byObjectType).flatMap(([objectType, fieldMapping]) =>
+            Object.entries(fieldMapping).map(([property, source]) => {
+                const { fields, transform = null, label = null, ...options } = toSource(source);
+                return { docType, objectType, property, fields, transform, options, label };
+            })));
+
+const validateSource = (source, fieldNames) => {
+    if (typeof source === 'string') return fieldNames.includes(source) ? [] : [`unknown field "${source}"`];
+    if (!source || typeof source !== 'object' || Array.isArray(source)) return ['must be a field name or an object'];
+
+    const { field, fields, transform, label, ...options } = source;
+    const errors = [];
+    const transformDefinition = transform === undefined ? null : PROPERTY_TRANSFORMS[transform];
+    if (transform !== undefined && !transformDefinition) {
+        errors.push(`unknown transform "${transform}" (${Object.keys(PROPERTY_TRANSFORMS).join(', ')})`);
+    }
+
+    if ((field === undefined) === (fields === undefined)) {
+        errors.push('needs either "field" or "fields"');
+    } else if (fields !== undefined && (!Array.isArray(fields) || !fields.length || !transformDefinition?.multipleFields)) {
+        errors.push('"fields" must be a non-empty list and needs a transform that combines fields (join)');
+    } else {
+        const unknown = (fields ?? [field]).filter(name => !fieldNames.includes(name));
+        if (unknown.length) errors.push(`unknown field(s) ${unknown.map(name => `"${name}"`).join(', ')}`);
+    }
+
+    const optionError = transformDefinition?.validate?.(options);
+    if (optionError) errors.push(optionError);
+    return errors;
+};
+
+// Lists every problem of the loaded mapping; throws when there is any
+export const validateHubSpotMapping = (mapping = config.HUBSPOT_MAPPING) => {
+    const errors = [];
+    const objectTypes = mapping.objectTypes ?? {};
+
+    for (const [name, id] of Object.entries(objectTypes)) {
+        if (typeof id !== 'string' || !OBJECT_TYPE_ID_PATTERN.test(id)) errors.push(`objectTypes.${name}: "${id}" is not an object type id (e.g. 0-1, 2-12345)`);
+    }
+    for (const [key, propertyName] of Object.entries(mapping.properties ?? {})) {
+        if (typeof propertyName !== 'string' || !PROPERTY_NAME_PATTERN.test(propertyName)) errors.push(`properties.${key}: "${propertyName}" is not a HubSpot property name`);
+    }
+
+    const { groupName, documentObjectTypes = [] } = mapping.setup ?? {};
+    if (groupName !== undefined && !PROPERTY_NAME_PATTERN.test(groupName)) errors.push(`setup.groupName: "${groupName}" is not a HubSpot group name`);
+    for (const objectType of documentObjectTypes) {
+        if (!objectTypes[objectType] && !OBJECT_TYPE_ID_PATTERN.test(objectType)) errors.push(`setup.documentObjectTypes: unknown object type "${objectType}"`);
+    }
+
+    for (const [docType, byObjectType] of Object.entries(mapping.documents ?? {})) {
+        if (!hasDocumentType(docType) || normalizeDocType(docType) !== docType) {
+            errors.push(`documents.${docType}: unknown document type`);
+            continue;
+        }
+        const fieldNames = Object.keys(getDocumentSchema(docType).schema.properties);
+
+        for (const [objectType, fieldMapping] of Object.entries(byObjectType ?? {})) {
+            const path = `documents.${docType}.${objectType}`;
+            if (objectType !== '*' && !objectTypes[objectType] && !OBJECT_TYPE_ID_PATTERN.test(objectType)) {
+                errors.push(`${path}: unknown object type`);
+            }
+            for (const [propertyName, source] of Object.entries(fieldMapping ?? {})) {
+                if (!PROPERTY_NAME_PATTERN.test(propertyName)) errors.push(`${path}.${propertyName}: not a HubSpot property name`);
+                errors.push(...validateSource(source, fieldNames).map(error => `${path}.${propertyName}: ${error}`));
+            }
+        }
+    }
+
+    if (errors.length) {
+        throw new Error(`❌ Invalid HubSpot mapping${mapping.file ? ` (${mapping.file})` : ''}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return { file: mapping.file ?? null, documentTypes: Object.keys(mapping.documents ?? {}) };
+};
+
+export default {
+    PROPERTY_TRANSFORMS,
+    mapToHubSpotProperties,
+    listDocumentProperties,
+    validateHubSpotMapping
+};
@@ -0,0 +1,149 @@
+// services/reconciliation.js
+// Compares extracted identity data with what HubSpot already knows about the contact.
+// Names and addresses are compared fuzzily (accents, umlaut spellings, word order, middle
+// names, street abbreviations); dates of birth must match exactly. Addresses change, so they
+// are reported but never count towards "different person".
+import config from '../config/index.js';
+import { RECONCILIATION_STATUS } from '../config/constants.js';
+import * as hubspot from './hubspot.js';
+import { normalizeDate } from './validation.js';
+
+const UMLAUTS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' };
+
+const simplify = (value) => String(value ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[äöüß]/g, char => UMLAUTS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const tokenize = (value) => simplify(value).split(' ').filter(Boolean);
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const similarity = (a, b) => (a || b) ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 1;
+
+// Every token of the shorter name needs a close partner in the longer one, so word order
+// and extra given names don't matter ("Anna Muster" vs "MUSTER Anna Maria")
+const tokenSimilarity = (aTokens, bTokens) => {
+    const [shorter, longer] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+    if (!shorter.length) return null;
+    const total = shorter.reduce((sum, token) => sum + Math.max(...longer.map(other => similarity(token, other))), 0);
+    return total / shorter.length;
+};
+
+const rate = (score) => {
+    const { matchThreshold, partialThreshold } = config.RECONCILIATION_CONFIG;
+    if (score === null) return 'missing';
+    if (score >= matchThreshold) return 'match';
+    return score >= partialThreshold ? 'partial' : 'mismatch';
+};
+
+// HubSpot date properties come back as YYYY-MM-DD, datetime properties as epoch milliseconds
+const toComparableDate = (value) => {
+    if (!value) return null;
+    const text = String(value).trim();
+    if (/^-?\d{6,}$/.test(text)) return normalizeDate(new Date(Number(text)).toISOString().slice(0, 10));
+    return normalizeDate(text.slice(0, 10)) || normalizeDate(text);
+};
+
+// "Bahnhofstr." and "Bahnhofstrasse" are the same street
+const normalizeStreet = (tokens) => tokens.map(token => token.replace(/str$/, 'strasse'));
+
+const compareNames = (extracted, crm) => {
+    const extractedName = [extracted.firstName, extracted.lastName].filter(Boolean).join(' ');
+    const crmName = [crm.firstName, crm.lastName].filter(Boolean).join(' ');
+    const score = extractedName && crmName ? tokenSimilarity(tokenize(extractedName), tokenize(crmName)) : null;
+    return { result: rate(score), score, extracted: extractedName || null, crm: crmName || null };
+};
+
+const compareDates = (extracted, crm) => {
+    const [extractedDate, crmDate] = [toComparableDate(extracted.dateOfBirth), toComparableDate(crm.dateOfBirth)];
+    const result = extractedDate && crmDate ? (extractedDate === crmDate ? 'match' : 'mismatch') : 'missing';
+    return { result, score: result === 'missing' ? null : Number(result === 'match'), extracted: extractedDate, crm: crmDate };
+};
+
+const compareAddresses = (extracted, crm) => {
+    const crmAddress = [crm.address, crm.zip, crm.city].filter(Boolean).join(' ');
+    if (!extracted.streetAddress || !crmAddress) {
+        return { result: 'missing', score: null, extracted: extracted.streetAddress || null, crm: crmAddress || null };
+    }
+
+    const extractedTokens = normalizeStreet(tokenize(extracted.streetAddress));
+    const crmTokens = normalizeStreet(tokenize(crmAddress));
+    const extractedZip = extractedTokens.find(token => /^\d{4,5}$/.test(token));
+    // A different postal code is a different address, however similar the street
+    const score = crm.zip && extractedZip && simplify(crm.zip) !== extractedZip
+        ? 0
+        : tokenSimilarity(extractedTokens, crmTokens);
+    return { result: rate(score), score, extracted: extracted.streetAddress, crm: crmAddress };
+};
+
+// Same person unless the name or the date of birth clearly disagrees without the other one
+// confirming it (a married name with a matching birth date is a mismatch, not another person)
+const decideStatus = ({ name, dateOfBirth, address }) => {
+    const results = [name.result, dateOfBirth.result, address.result];
+    if ((name.result === 'mismatch' && dateOfBirth.result !== 'match') ||
+        (dateOfBirth.result === 'mismatch' && name.result !== 'match')) {
+        return RECONCILIATION_STATUS.DIFFERENT_PERSON;
+    }
+    if (results.some(result => result === 'mismatch' || result === 'partial')) return RECONCILIATION_STATUS.MISMATCH;
+    if (results.includes('match')) return RECONCILIATION_STATUS.MATCH;
+    return RECONCILIATION_STATUS.UNVERIFIABLE;
+};
+
+// Pure comparison of extracted data with contact properties already mapped to
+// { firstName, lastName, dateOfBirth, address, zip, city }
+export const compareWithContact = (extractedData, contact) => {
+    const checks = {
+        name: compareNames(extractedData, contact),
+        dateOfBirth: compareDates(extractedData, contact),
+        address: compareAddresses(extractedData, contact)
+    };
+    return { status: decideStatus(checks), checks };
+};
+
+// Returns the report written to HubSpot: { status, contactId, checks, blocked, checkedAt }
+export const reconcileWithContact = async ({ objectTypeId, recordId, extractedData }) => {
+    const { contactProperties, blockOnMismatch } = config.RECONCILIATION_CONFIG;
+    const checkedAt = new Date().toISOString();
+
+    const contactId = await hubspot.getAssociatedContactId(objectTypeId, recordId);
+    if (!contactId) {
+        return { status: RECONCILIATION_STATUS.UNVERIFIABLE, contactId: null, reason: 'No associated contact', checks: {}, blocked: false, checkedAt };
+    }
+
+    const record = await hubspot.getHubSpotRecord(
+        config.HUBSPOT_CONFIG.objectTypes.contact,
+        contactId,
+        Object.values(contactProperties).join(',')
+    );
+    const contact = Object.fromEntries(Object.entries(contactProperties)
+        .map(([field, property]) => [field, record.properties?.[property] ?? null]));
+
+    const { status, checks } = compareWithContact(extractedData, contact);
+    return {
+        status,
+        contactId,
+        checks,
+        blocked: blockOnMismatch && status === RECONCILIATION_STATUS.DIFFERENT_PERSON,
+        checkedAt
+    };
+};
+
+export default {
+    compareWithContact,
+    reconcileWithContact
+};
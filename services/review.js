@@ -0,0 +1,73 @@
+// services/review.js
+import config from '../config/index.js';
+import { REVIEW_STATUS } from '../config/constants.js';
+import { getDocumentSchema } from './schemaRegistry.js';
+import { createFileStore } from '../utils/fileStore.js';
+
+const store = createFileStore('reviews', { reviews: {} });
+
+// Record ids are only unique per object type
+const reviewKey = (objectTypeId, recordId) => `${objectTypeId}:${recordId}`;
+
+// Decides whether a human has to look at an extraction before it reaches HubSpot
+export const assessExtraction = (docType, extractedData, fieldConfidence = {}) => {
+    const { requiredFields = [] } = getDocumentSchema(docType);
+    const missingFields = requiredFields.filter(field => !extractedData?.[field]);
+    const lowConfidenceFields = Object.entries(fieldConfidence)
+        .filter(([field, confidence]) => extractedData?.[field] && confidence < config.REVIEW_CONFIG.minFieldConfidence)
+        .map(([field]) => field);
+
+    return {
+        needsReview: missingFields.length > 0 || lowConfidenceFields.length > 0,
+        missingFields,
+        lowConfidenceFields
+    };
+};
+
+export const addToReviewQueue = (item) => store.update(data => {
+    const now = new Date().toISOString();
+    // One open review per record; a newer upload replaces the pending one
+    const key = reviewKey(item.objectTypeId, item.recordId);
+    data.reviews[key] = {
+        ...item,
+        status: REVIEW_STATUS.PENDING,
+        createdAt: now,
+        updatedAt: now,
+        reviewedAt: null,
+        reviewedBy: null
+    };
+    return data.reviews[key];
+});
+
+export const listReviews = async (status = REVIEW_STATUS.PENDING) => {
+    const data = await store.read();
+    return Object.values(data.reviews)
+        .filter(review => !status || review.status === status)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+};
+
+export const getReview = async (objectTypeId, recordId) => {
+    const data = await store.read();
+    return data.reviews[reviewKey(objectTypeId, recordId)] || null;
+};
+
+export const completeReview = (objectTypeId, recordId, { extractedData, reviewedBy = null }) => store.update(data => {
+    const key = reviewKey(objectTypeId, recordId);
+    const now = new Date().toISOString();
+    Object.assign(data.reviews[key], {
+        extractedData,
+        status: REVIEW_STATUS.REVIEWED,
+        reviewedAt: now,
+        reviewedBy,
+        updatedAt: now
+    });
+    return data.reviews[key];
+});
+
+export default {
+    assessExtraction,
+    addToReviewQueue,
+    listReviews,
+    getReview,
+    completeReview
+};
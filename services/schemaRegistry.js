@@ -0,0 +1,36 @@
+// services/schemaRegistry.js
+import config from '../config/index.js';
+import { ERROR_MESSAGES } from '../config/constants.js';
+import { DOCUMENT_SCHEMAS } from '../config/documentSchemas.js';
+
+const registry = new Map(Object.entries(DOCUMENT_SCHEMAS));
+
+// "Rental-Contract" and "rental_contract" name the same type
+export const normalizeDocType = (docType) => docType?.toString().trim().toLowerCase().replace(/[\s-]+/g, '_') || null;
+
+export const registerDocumentType = (docType, definition) => {
+    for (const key of ['prompt', 'schema']) {
+        if (!definition?.[key]) throw new Error(`Document type "${docType}" is missing "${key}"`);
+    }
+    registry.set(normalizeDocType(docType), { label: docType, ...definition });
+};
+
+export const hasDocumentType = (docType) => registry.has(normalizeDocType(docType));
+
+export const getDocumentSchema = (docType) => {
+    const key = normalizeDocType(docType) || config.DOCUMENT_CONFIG.defaultDocType;
+    const definition = registry.get(key);
+    if (!definition) throw new Error(`${ERROR_MESSAGES.UNKNOWN_DOCUMENT_TYPE}: ${docType}`);
+    return { docType: key, ...definition };
+};
+
+export const listDocumentTypes = () =>
+    [...registry.entries()].map(([docType, definition]) => ({ docType, label: definition.label }));
+
+export default {
+    normalizeDocType,
+    registerDocumentType,
+    hasDocumentType,
+    getDocumentSchema,
+    listDocumentTypes
+};
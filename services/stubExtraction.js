@@ -0,0 +1,84 @@
+// services/stubExtraction.js
+// Analysis backend that returns canned results instead of calling a model, so the webhook ->
+// analysis -> CRM flow can run end to end without credentials or network access.
+// Fixtures (ANALYSIS_CONFIG.stubFixtures) are keyed by HubSpot file id, with "default" as fallback:
+//   { "<fileId>": { docType, extractedData, fieldConfidence?, classification? }, "default": { ... } }
+// An entry with extractedData null is treated as a rejected upload; one with an error
+// ({ message, status? }) makes the analysis throw it, like a failing provider would.
+import fs from 'fs';
+import config from '../config/index.js';
+import { DOCUMENT_CLASSES } from '../config/constants.js';
+import { validateExtractedData } from './validation.js';
+
+let fixtures = null;
+const overrides = new Map();
+
+const loadFixtures = () => {
+    if (!fixtures) fixtures = JSON.parse(fs.readFileSync(config.ANALYSIS_CONFIG.stubFixtures, 'utf8'));
+    return fixtures;
+};
+
+// Lets an in-process run replace the result for one file id (or 'default') without a fixture file
+export const setStubResult = (fileId, entry) => overrides.set(String(fileId), entry);
+
+export const clearStubResults = () => {
+    overrides.clear();
+    fixtures = null;
+};
+
+const findEntry = (documents) => {
+    for (const key of [...documents.map(document => String(document.fileId)), 'default']) {
+        if (overrides.has(key)) return overrides.get(key);
+        if (loadFixtures()[key]) return loadFixtures()[key];
+    }
+    throw new Error(`No stub analysis result for file(s): ${documents.map(document => document.fileId).join(', ')}`);
+};
+
+export const extractDocument = async (documents, { docType = null } = {}) => {
+    const entry = findEntry(documents);
+    if (entry.error) throw Object.assign(new Error(entry.error.message), { status: entry.error.status });
+    const resolvedDocType = docType || entry.docType;
+    const fixtureClassification = entry.classification ?? {
+        documentClass: Object.keys(DOCUMENT_CLASSES).find(documentClass => DOCUMENT_CLASSES[documentClass] === (resolvedDocType ?? null)),
+        docType: resolvedDocType ?? null,
+        confidence: 1,
+        reason: 'Stub analysis fixture'
+    };
+    const pages = documents.map((_, index) => ({ source: index + 1, page: 1, relevant: true }));
+
+    // A rejected upload always reports its classification, like the LLM backends do
+    if (!entry.extractedData) {
+        return {
+            docType: fixtureClassification.docType,
+            classification: fixtureClassification,
+            extractedData: null,
+            fieldConfidence: {},
+            fieldSources: {},
+            validationErrors: [],
+            pages,
+            backend: 'stub'
+        };
+    }
+
+    const { data, validationErrors } = validateExtractedData(resolvedDocType, entry.extractedData);
+    const source = { source: 1, fileId: documents[0].fileId ?? null, page: 1 };
+    return {
+        docType: resolvedDocType,
+        classification: docType ? null : fixtureClassification,
+        extractedData: data,
+        fieldConfidence: Object.fromEntries(Object.keys(data).map(field => [
+            field,
+            data[field] === null ? 0 : (entry.fieldConfidence?.[field] ?? 1)
+        ])),
+        fieldSources: Object.fromEntries(Object.keys(data).map(field => [field, data[field] === null ? null : source])),
+        validationErrors,
+        pages,
+        backend: 'stub'
+    };
+};
+
+export default {
+    setStubResult,
+    clearStubResults,
+    extractDocument
+};
@@ -0,0 +1,106 @@
+// services/validation.js
+import { getDocumentSchema } from './schemaRegistry.js';
+import { toAlpha2 } from '../utils/countries.js';
+
+export const PERMIT_CATEGORIES = ['B', 'C', 'L', 'G', 'Ci', 'F', 'N', 'S'];
+
+// Checked in order: "Kurzaufenthalt" has to win over "Aufenthalt"
+const PERMIT_KEYWORDS = [
+    [/niederlassung|etablissement|domicilio|settlement/, 'C'],
+    [/kurzaufenthalt|courte duree|breve durata|short term/, 'L'],
+    [/grenzganger|frontalier|cross border/, 'G'],
+    [/vorlaufig aufgenommen|admission provisoire|ammissione provvisoria|provisionally admitted/, 'F'],
+    [/asylsuchend|requerant d asile|richiedent[ei] l asilo|asylum seeker/, 'N'],
+    [/schutzbedurftig|besoin de protection|bisognos[ie] di protezione|protection status/, 'S'],
+    [/aufenthalt|sejour|dimora|residence permit/, 'B']
+];
+
+const simplify = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+export const normalizeDate = (value) => {
+    const dmy = value.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/);
+    const ymd = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const [day, month, year] = dmy
+        ? [dmy[1], dmy[2], dmy[3]].map(Number)
+        : ymd ? [ymd[3], ymd[2], ymd[1]].map(Number) : [];
+    if (!year) return null;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${String(day).padStart(2, '0')}.${String(month).padStart(2, '0')}.${year}`;
+};
+
+export const normalizePermitType = (value) => {
+    const tokens = value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[^A-Za-z]+/).filter(Boolean);
+
+    // Single letters only count in upper case inside longer text ("l'autorisation" is not L)
+    const categories = new Set(tokens
+        .map(token => PERMIT_CATEGORIES.find(category => (tokens.length === 1 || category.length > 1)
+            ? category.toUpperCase() === token.toUpperCase()
+            : category === token))
+        .filter(Boolean));
+    if (categories.size === 1) return [...categories][0];
+
+    const text = simplify(value);
+    return PERMIT_KEYWORDS.find(([pattern]) => pattern.test(text))?.[1] ?? null;
+};
+
+const FORMATS = {
+    date: { normalize: normalizeDate, expected: 'a valid date in DD.MM.YYYY format' },
+    country: { normalize: toAlpha2, expected: 'an ISO 3166-1 alpha-2 country code or recognizable country' },
+    permitType: { normalize: normalizePermitType, expected: `one of the Swiss permit categories ${PERMIT_CATEGORIES.join(', ')}` }
+};
+
+// Keeps only the fields the document schema declares, normalizes formatted fields and
+// nulls out anything invalid. Failures are reported in validationErrors instead.
+export const validateExtractedData = (docType, rawData) => {
+    const { schema, fieldFormats = {} } = getDocumentSchema(docType);
+    const fields = Object.keys(schema.properties);
+    const data = Object.fromEntries(fields.map(field => [field, null]));
+    const validationErrors = [];
+
+    if (!rawData || typeof rawData !== 'object' || Array.isArray(rawData)) {
+        validationErrors.push({ field: null, value: rawData ?? null, code: 'invalid_type', message: 'Extracted data is not an object' });
+        return { data, validationErrors, droppedKeys: [] };
+    }
+
+    for (const field of fields) {
+        const raw = rawData[field];
+        if (raw === undefined || raw === null || raw === '') continue;
+
+        if (typeof raw !== 'string' && typeof raw !== 'number') {
+            validationErrors.push({ field, value: raw, code: 'invalid_type', message: `${field} must be a string` });
+            continue;
+        }
+
+        const value = String(raw).trim();
+        const format = FORMATS[fieldFormats[field]];
+        if (!format) {
+            data[field] = value || null;
+            continue;
+        }
+
+        const normalized = format.normalize(value);
+        if (normalized === null) {
+            validationErrors.push({
+                field,
+                value,
+                code: `invalid_${fieldFormats[field]}`,
+                message: `${field} must be ${format.expected}`
+            });
+            continue;
+        }
+        data[field] = normalized;
+    }
+
+    const droppedKeys = Object.keys(rawData).filter(key => !fields.includes(key));
+    return { data, validationErrors, droppedKeys };
+};
+
+export default {
+    PERMIT_CATEGORIES,
+    normalizeDate,
+    normalizePermitType,
+    validateExtractedData
+};
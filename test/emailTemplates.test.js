@@ -0,0 +1,91 @@
+// test/emailTemplates.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Read by config/index.js on import: an override directory next to the bundled templates
+const overrideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-templates-test-'));
+Object.assign(process.env, { EMAIL_TEMPLATES_DIR: overrideDir, EMAIL_DEFAULT_LANGUAGE: 'en' });
+
+const { normalizeLanguage, renderTemplate, loadTemplates, renderEmail } = await import('../services/emailTemplates.js');
+
+after(() => {
+    fs.rmSync(overrideDir, { recursive: true, force: true });
+});
+
+const writeOverride = (useCase, templates) => fs.writeFileSync(path.join(overrideDir, `${useCase}.json`), JSON.stringify(templates));
+
+test('values are looked up by path and missing keys render empty', () => {
+    const data = { contact: { firstname: 'Anna' }, count: 2 };
+    assert.equal(renderTemplate('Hello {{contact.firstname}}, {{ count }} file(s)', data), 'Hello Anna, 2 file(s)');
+    assert.equal(renderTemplate('Hello {{contact.lastname}}{{deal.dealname}}!', data), 'Hello !');
+    assert.equal(renderTemplate('{{missing.deeply.nested}}', data), '');
+});
+
+test('values are HTML-escaped only in html', () => {
+    const data = { name: '<b>Tom & "Jerry"</b>' };
+    assert.equal(renderTemplate('{{name}}', data), '<b>Tom & "Jerry"</b>');
+    assert.equal(renderTemplate('<p>{{name}}</p>', data, { html: true }), '<p>&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt;</p>');
+});
+
+test('sections repeat for list items, show once for a truthy value and hide for empty ones', () => {
+    const data = { files: [{ filename: 'a.pdf' }, { filename: 'b.png' }], deal: { dealname: 'Relocation' }, tags: ['x', 'y'], none: [] };
+
+    assert.equal(renderTemplate('{{#files}}- {{filename}}\n{{/files}}', data), '- a.pdf\n- b.png\n');
+    assert.equal(renderTemplate('{{#deal.dealname}}Deal: {{deal.dealname}}{{/deal.dealname}}', data), 'Deal: Relocation');
+    assert.equal(renderTemplate('{{#tags}}[{{.}}]{{/tags}}', data), '[x][y]');
+    assert.equal(renderTemplate('{{#none}}never{{/none}}{{#missing}}never{{/missing}}', data), '');
+    // Names not on the item come from the outer data
+    assert.equal(renderTemplate('{{#files}}{{deal.dealname}}/{{filename}} {{/files}}', data), 'Relocation/a.pdf Relocation/b.png ');
+});
+
+test('inverted sections show when the value is empty', () => {
+    assert.equal(renderTemplate('{{^name}}Hello,{{/name}}{{#name}}Hello {{name}},{{/name}}', {}), 'Hello,');
+    assert.equal(renderTemplate('{{^name}}Hello,{{/name}}{{#name}}Hello {{name}},{{/name}}', { name: 'Anna' }), 'Hello Anna,');
+    assert.equal(renderTemplate('{{^count}}none{{/count}}', { count: 0 }), 'none');
+});
+
+test('unbalanced sections are rejected', () => {
+    assert.throws(() => renderTemplate('{{#files}}open', {}), /\{\{#files\}\} is not closed/);
+    assert.throws(() => renderTemplate('{{#a}}{{/b}}', {}), /unexpected \{\{\/b\}\}/);
+    assert.throws(() => renderTemplate('stray {{/a}}', {}), /unexpected \{\{\/a\}\}/);
+});
+
+test('languages are reduced to de/fr/it/en with the default for anything else', () => {
+    assert.equal(normalizeLanguage('de-ch'), 'de');
+    assert.equal(normalizeLanguage('FR_CH'), 'fr');
+    assert.equal(normalizeLanguage('es'), 'en');
+    assert.equal(normalizeLanguage(null), 'en');
+});
+
+test('emails render per language with a single-line subject and fall back to the default', () => {
+    const data = { contactName: 'Anna Muster', deal: { dealname: 'Relocation' }, attachmentCount: 1, attachments: [{ filename: 'permit.pdf' }] };
+
+    assert.equal(renderEmail('service_documents', 'de', data).subject, 'Dokumente von Anna Muster – Relocation');
+    const fallback = renderEmail('service_documents', 'es', data);
+    assert.equal(fallback.language, 'en');
+    assert.equal(fallback.subject, 'Documents of Anna Muster – Relocation');
+    assert.match(fallback.text, /- permit\.pdf/);
+});
+
+test('an override replaces whole languages and invalid templates list every problem', () => {
+    writeOverride('override_case', {
+        en: { subject: 'Hi {{name}}', text: 'Text', html: '<p>{{name}}</p>' },
+        de: { subject: 'Hallo {{#name}}', text: 'Text' },
+        es: { subject: '', text: '', html: '' }
+    });
+    assert.throws(() => loadTemplates('override_case'), (error) => {
+        assert.match(error.message, /de\.subject: \{\{#name\}\} is not closed/);
+        assert.match(error.message, /de\.html: missing/);
+        assert.match(error.message, /es: unsupported language/);
+        return true;
+    });
+
+    // Templates are cached once loaded, so this use case is not rendered by another test
+    writeOverride('permit_reminder', { de: { subject: 'Bewilligung von {{permit.holder}}', text: 'Text', html: '<p>Text</p>' } });
+    const templates = loadTemplates('permit_reminder');
+    assert.equal(templates.de.subject, 'Bewilligung von {{permit.holder}}');
+    assert.match(templates.en.subject, /^Work permit expires/);
+});
@@ -0,0 +1,39 @@
+// test/fileStore.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'doc-data-store-test-'));
+
+const { createFileStore } = await import('../utils/fileStore.js');
+
+after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Two stores on one file stand in for two processes sharing DATA_DIR
+test('a store sees what another writer saved since its last read', async () => {
+    const first = createFileStore('shared', { items: [] });
+    const second = createFileStore('shared', { items: [] });
+
+    await first.update(data => { data.items.push('a'); });
+    assert.deepEqual((await second.read()).items, ['a']);
+
+    await second.update(data => { data.items.push('b'); });
+    assert.deepEqual((await first.read()).items, ['a', 'b']);
+});
+
+test('concurrent updates from separate writers are all kept', async () => {
+    const writers = [createFileStore('counter', { count: 0 }), createFileStore('counter', { count: 0 })];
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) => writers[index % 2].update(async data => {
+        const { count } = data;
+        await new Promise(resolve => setImmediate(resolve));
+        data.count = count + 1;
+    })));
+
+    assert.equal((await writers[0].read()).count, 20);
+    assert.equal(fs.existsSync(`${writers[0].filePath}.lock`), false);
+});
@@ -0,0 +1,290 @@
+// test/integration.test.js
+// Drives the server end to end against the in-process HubSpot mock, the stub analysis backend
+// and the capture email transport, and asserts on the exact CRM writes and emails.
+import { test, before, after, beforeEach, mock as nodeMock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Read by config/index.js on import, so set before the app modules load
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'doc-data-test-')),
+    ANALYSIS_BACKEND: 'stub',
+    ANALYSIS_FALLBACKS: '',
+    EMAIL_TRANSPORT: 'capture',
+    HUBSPOT_CLIENT_SECRET: 'test-client-secret',
+    HUBSPOT_ACCESS_TOKEN: 'test-token',
+    CRON_SECRET: 'test-cron-secret',
+    JOB_WORKER_ENABLED: 'false',
+    PERMIT_SCHEDULER_ENABLED: 'false',
+    ARTIFACT_SWEEP_ENABLED: 'false'
+});
+
+// The app logs every step to stdout, where node --test also reports its results. Mocked
+// console.log calls are restored once the imports, hook or test that silenced them are done.
+nodeMock.method(console, 'log', () => {});
+const { default: config } = await import('../config/index.js');
+const { createHubSpotMock, loadFixtures, signWebhookRequest } = await import('../mocks/hubspotMock.js');
+const { startServer } = await import('../server.js');
+const { getCapturedEmails, clearCapturedEmails } = await import('../services/email.js');
+const { setStubResult, clearStubResults } = await import('../services/stubExtraction.js');
+nodeMock.restoreAll();
+
+const AUTH = { Authorization: 'Bearer test-cron-secret' };
+
+let mock;
+let server;
+let appUrl;
+
+// Queued webhooks run when the jobs are processed, like the cron does on Vercel
+const processJobs = async (limit = 10) => {
+    const response = await fetch(`${appUrl}/api/jobs/process?limit=${limit}`, { method: 'POST', headers: AUTH });
+    assert.equal(response.status, 200);
+    return response.json();
+};
+
+const sendDocumentEvent = (eventId, propertyValue) => mock.sendWebhook(`${appUrl}/webhook/hubspot`, [{
+    eventId,
+    subscriptionType: 'contact.propertyChange',
+    propertyName: 'document_upload',
+    propertyValue,
+    objectId: 101
+}]);
+
+const sendEmailRequest = (body) => fetch(`${appUrl}/api/send-email`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+const silenceLogs = (t) => t.mock.method(console, 'log', () => {});
+
+before(async (t) => {
+    silenceLogs(t);
+    // Analyses are recorded per file version and record, so every document test uploads its own
+    // copy of the permit (the stub analysis answers unknown files with the default permit)
+    const fixtures = loadFixtures();
+    for (const fileId of ['9101', '9102', '9103', '9104', '9105', '9106']) fixtures.files[fileId] = { ...fixtures.files['9001'] };
+    mock = createHubSpotMock({ fixtures });
+    await mock.start();
+    server = startServer(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    appUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async (t) => {
+    silenceLogs(t);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await mock.stop();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+    silenceLogs(t);
+    mock.reset();
+    clearCapturedEmails();
+    clearStubResults();
+});
+
+test('rejects a webhook with a wrong signature', async () => {
+    const url = `${appUrl}/webhook/hubspot`;
+    const body = JSON.stringify([{ eventId: 1, subscriptionType: 'contact.propertyChange', propertyValue: '9001,0-1,101' }]);
+    const response = await fetch(url, { method: 'POST', headers: signWebhookRequest({ uri: url, body, secret: 'wrong' }), body });
+
+    assert.equal(response.status, 401);
+    assert.equal((await processJobs()).processed, 0);
+    assert.deepEqual(mock.getWrites(), []);
+});
+
+test('a permit upload writes the extracted data to the contact in one PATCH', async () => {
+    const response = await sendDocumentEvent(1001, '9101,0-1,101');
+    assert.equal(response.status, 200);
+    assert.ok((await response.json()).jobId);
+    assert.equal((await processJobs()).processed, 1);
+
+    const writes = mock.getWrites();
+    assert.equal(writes.length, 1);
+    assert.equal(writes[0].method, 'PATCH');
+    assert.equal(writes[0].path, '/crm/v3/objects/0-1/101');
+
+    const { extracted_reconciliation_report: report, ...properties } = writes[0].body.properties;
+    assert.deepEqual(properties, {
+        extracted_document_type: 'permit_b',
+        extracted_document_type_confidence: 1,
+        extracted_data: JSON.stringify({
+            firstName: 'Anna',
+            lastName: 'Muster',
+            streetAddress: 'Bahnhofstr. 12, 8001 Zürich',
+            dateOfBirth: '12.04.1990',
+            nationality: 'DE',
+            workPermitDate: '31.12.2027',
+            workPermitType: 'B'
+        }),
+        file_id: '9101',
+        extracted_full_name: 'Anna Muster',
+        extracted_address: 'Bahnhofstr. 12, 8001 Zürich',
+        extracted_dob: '12.04.1990',
+        extracted_nationality: 'DE',
+        extracted_work_permit_date: '31.12.2027',
+        extracted_work_permit_type: 'B',
+        permit_expiry_date: '2027-12-31',
+        extracted_review_status: 'auto_approved'
+    });
+    assert.equal(JSON.parse(report).status, 'match');
+    assert.equal(mock.getRecord('0-1', '101').extracted_full_name, 'Anna Muster');
+});
+
+test('a redelivered event writes nothing again', async () => {
+    await sendDocumentEvent(1002, '9102,0-1,101');
+    await processJobs();
+    assert.equal(mock.getWrites().length, 1);
+
+    await sendDocumentEvent(1002, '9102,0-1,101');
+    await processJobs();
+    assert.equal(mock.getWrites().length, 1);
+});
+
+test('a HubSpot 5xx on the PATCH is retried and the record still updated', async () => {
+    mock.failNext({ method: 'PATCH', path: '/crm/v3/objects/0-1/101', status: 503, retryAfter: 0.01 });
+
+    await sendDocumentEvent(1003, '9103,0-1,101');
+    await processJobs();
+
+    const patches = mock.getRequests().filter(item => item.method === 'PATCH');
+    assert.equal(patches.length, 2);
+    assert.deepEqual(patches[1].body, patches[0].body);
+    assert.equal(mock.getRecord('0-1', '101').extracted_review_status, 'auto_approved');
+});
+
+const getJob = async (jobId) => (await fetch(`${appUrl}/api/jobs/${jobId}`, { headers: AUTH })).json();
+
+test('an unavailable analysis backend is retried by the job queue', async (t) => {
+    const { backoffBaseMs } = config.JOB_QUEUE_CONFIG;
+    config.JOB_QUEUE_CONFIG.backoffBaseMs = 1;
+    t.after(() => { config.JOB_QUEUE_CONFIG.backoffBaseMs = backoffBaseMs; });
+    setStubResult('9105', { error: { message: 'Service Unavailable', status: 503 } });
+
+    const { jobId } = await (await sendDocumentEvent(1006, '9105,0-1,101')).json();
+    await processJobs(1);
+    const failed = await getJob(jobId);
+    assert.equal(failed.status, 'pending');
+    assert.match(failed.lastError, /event\(s\) failed: 1006/);
+    assert.match(mock.getRecord('0-1', '101').extracted_data_error_log, /Service Unavailable/);
+
+    clearStubResults();
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await processJobs(1);
+    const retried = await getJob(jobId);
+    assert.equal(retried.status, 'completed');
+    assert.equal(retried.attempts, 2);
+    assert.equal(mock.getRecord('0-1', '101').file_id, '9105');
+});
+
+test('an analysis failure that would repeat completes the job', async () => {
+    setStubResult('9106', { error: { message: 'No machine-readable zone found in document' } });
+
+    const { jobId } = await (await sendDocumentEvent(1007, '9106,0-1,101')).json();
+    await processJobs();
+
+    const job = await getJob(jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.results[0].result.analysisFailed, true);
+});
+
+test('without a persistent job store the webhook is processed before it is answered', async (t) => {
+    config.JOB_QUEUE_CONFIG.processInline = true;
+    t.after(() => { config.JOB_QUEUE_CONFIG.processInline = false; });
+
+    const response = await sendDocumentEvent(1005, '9104,0-1,101');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).message, 'Webhook processed');
+    assert.equal(mock.getWrites().length, 1);
+    assert.equal((await processJobs()).processed, 0);
+});
+
+test('a backend outside the configured chain is refused', async () => {
+    await sendDocumentEvent(1004, '9001,0-1,101,,openai');
+    await processJobs();
+
+    const writes = mock.getWrites();
+    assert.equal(writes.length, 1);
+    assert.deepEqual(Object.keys(writes[0].body.properties), ['extracted_data_error_log']);
+    assert.match(writes[0].body.properties.extracted_data_error_log, /not in ANALYSIS_BACKEND or ANALYSIS_FALLBACKS: openai/);
+});
+
+test('the artifact sweep cron needs the API secret', async () => {
+    const url = `${appUrl}/api/cron/artifact-sweep`;
+    assert.equal((await fetch(url)).status, 401);
+
+    const response = await fetch(url, { headers: AUTH });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).success, true);
+});
+
+test('/api/send-email emails the selected service documents once', async () => {
+    const response = await sendEmailRequest({ dealId: '201' });
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(result.contactId, '101');
+    assert.deepEqual(result.services, [
+        { serviceId: '301', fileId: '9001', status: 'sent' },
+        { serviceId: '302', fileId: '9004', status: 'sent' },
+        { serviceId: '303', fileId: '9002', status: 'not_selected' }
+    ]);
+
+    const emails = getCapturedEmails();
+    assert.equal(emails.length, 1);
+    assert.equal(emails[0].to, 'case.worker@example.com');
+    assert.equal(emails[0].subject, 'Documents of Anna Muster – Relocation Anna Muster');
+    assert.deepEqual(emails[0].attachments.map(attachment => attachment.filename), ['document_9001.pdf', 'document_9004.png']);
+
+    const writes = mock.getWrites();
+    assert.equal(writes.length, 1);
+    assert.equal(writes[0].path, '/crm/v3/objects/0-3/201');
+    assert.deepEqual(Object.keys(writes[0].body.properties), ['last_email_summary']);
+    assert.match(writes[0].body.properties.last_email_summary, /case\.worker@example\.com: 1\/1 email\(s\) sent/);
+
+    const repeated = await (await sendEmailRequest({ dealId: '201' })).json();
+    assert.equal(repeated.skipped, true);
+    assert.equal(getCapturedEmails().length, 1);
+});
+
+test('/api/send-email needs a contact or deal', async () => {
+    const response = await sendEmailRequest({});
+    assert.equal(response.status, 400);
+    assert.deepEqual(getCapturedEmails(), []);
+});
+
+test('/api/services/send-email needs the API secret and only takes downloaded files', async () => {
+    const send = (body, headers = AUTH) => fetch(`${appUrl}/api/services/send-email`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ dealId: '201', ...body })
+    });
+    const downloaded = path.join(os.tmpdir(), 'hubspot_file_9001_1.pdf');
+
+    assert.equal((await send({ attachments: [{ fileId: '9001', path: downloaded }] }, {})).status, 401);
+
+    for (const attachments of [
+        [null],
+        [{}],
+        [{ fileId: '9001' }],
+        'document.pdf',
+        [{ fileId: '9001', path: '/etc/passwd' }],
+        [{ fileId: '9001', path: path.join(os.tmpdir(), '..', 'etc', 'hubspot_file_passwd') }],
+        [{ fileId: '9001', path: path.join(process.env.DATA_DIR, 'jobs.json') }]
+    ]) {
+        assert.equal((await send({ attachments })).status, 400);
+    }
+    assert.equal((await send({ attachments: [{ fileId: '9001', path: downloaded }], tempFiles: ['/etc/hosts'] })).status, 400);
+    assert.deepEqual(getCapturedEmails(), []);
+
+    fs.writeFileSync(downloaded, '%PDF-1.4');
+    const response = await send({ attachments: [{ fileId: '9001', path: downloaded, filename: 'permit.pdf' }], tempFiles: [downloaded] });
+    assert.equal(response.status, 200);
+    assert.deepEqual(getCapturedEmails()[0].attachments.map(attachment => attachment.filename), ['permit.pdf']);
+    assert.equal(fs.existsSync(downloaded), false);
+});
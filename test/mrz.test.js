@@ -0,0 +1,77 @@
+// test/mrz.test.js
+// Specimen lines from ICAO Doc 9303 (Utopia documents of Anna Maria Eriksson)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCheckDigit, findMrz, parseMrz } from '../utils/mrz.js';
+
+const TD3 = [
+    'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+];
+
+const TD1 = [
+    'I<UTOD231458907<<<<<<<<<<<<<<<',
+    '7408122F1204159UTO<<<<<<<<<<<6',
+    'ERIKSSON<<ANNA<MARIA<<<<<<<<<<'
+];
+
+test('check digits weigh characters 7, 3, 1 with letters from 10 and fillers as 0', () => {
+    assert.equal(computeCheckDigit('L898902C3'), '6');
+    assert.equal(computeCheckDigit('740812'), '2');
+    assert.equal(computeCheckDigit('120415'), '9');
+    assert.equal(computeCheckDigit('D23145890'), '7');
+    assert.equal(computeCheckDigit('ZE184226B<<<<<'), '1');
+    assert.equal(computeCheckDigit('<<<'), '0');
+});
+
+test('parses the TD3 passport specimen', () => {
+    assert.deepEqual(parseMrz(findMrz(TD3.join('\n'))), {
+        format: 'TD3',
+        documentCode: 'P',
+        issuingCountry: 'UTO',
+        lastName: 'ERIKSSON',
+        firstName: 'ANNA MARIA',
+        documentNumber: 'L898902C3',
+        nationality: 'UTO',
+        birthDate: '12.08.1974',
+        sex: 'F',
+        expiryDate: '15.04.2012',
+        optionalData: 'ZE184226B',
+        checks: { documentNumber: true, birthDate: true, expiryDate: true, composite: true },
+        valid: true
+    });
+});
+
+test('parses the TD1 identity card specimen', () => {
+    assert.deepEqual(parseMrz(findMrz(TD1.join('\n'))), {
+        format: 'TD1',
+        documentCode: 'I',
+        issuingCountry: 'UTO',
+        documentNumber: 'D23145890',
+        optionalData: '',
+        birthDate: '12.08.1974',
+        sex: 'F',
+        expiryDate: '15.04.2012',
+        nationality: 'UTO',
+        lastName: 'ERIKSSON',
+        firstName: 'ANNA MARIA',
+        checks: { documentNumber: true, birthDate: true, expiryDate: true, composite: true },
+        valid: true
+    });
+});
+
+test('finds the zone in OCR text with spaces, other lines and guillemets for fillers', () => {
+    const text = ['UTOPIA PASSPORT', 'Surname / Nom', TD3[0].replace(/<<<<</g, '«<<<<').replace('ANNA', 'ANNA '), ` ${TD3[1]} `].join('\n');
+    assert.deepEqual(findMrz(text), { format: 'TD3', lines: TD3 });
+    assert.equal(findMrz('No machine readable zone here'), null);
+});
+
+test('a wrong check digit fails its check and the composite', () => {
+    const result = parseMrz({ format: 'TD3', lines: [TD3[0], TD3[1].replace('L898902C36', 'L898902C35')] });
+
+    assert.equal(result.checks.documentNumber, false);
+    assert.equal(result.checks.composite, false);
+    assert.equal(result.checks.birthDate, true);
+    assert.equal(result.valid, false);
+    assert.equal(result.documentNumber, 'L898902C3');
+});
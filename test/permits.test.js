@@ -0,0 +1,49 @@
+// test/permits.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read by config/index.js on import (the default, whatever a local .env says)
+process.env.PERMIT_REMINDER_DAYS = '90,30,7';
+
+const { buildPermitProperties, getDueThreshold, parseReminderSent } = await import('../services/permits.js');
+
+const due = (daysLeft, reminderSent = null) => getDueThreshold({ daysLeft, reminderSent });
+
+test('the smallest threshold reached is due', () => {
+    assert.equal(due(120), null);
+    assert.equal(due(91), null);
+    assert.equal(due(90), 90);
+    assert.equal(due(45), 90);
+    assert.equal(due(30), 30);
+    assert.equal(due(8), 30);
+    assert.equal(due(7), 7);
+    assert.equal(due(0), 7);
+});
+
+test('expired permits get no reminder', () => {
+    assert.equal(due(-1), null);
+});
+
+test('a threshold already sent, or a smaller one, is not due again', () => {
+    assert.equal(due(45, 90), null);
+    assert.equal(due(25, 90), 30);
+    assert.equal(due(25, 30), null);
+    assert.equal(due(5, 30), 7);
+    assert.equal(due(5, 7), null);
+    // A run that missed the 90 and 30 day marks only sends the 7 day reminder
+    assert.equal(due(60, 7), null);
+});
+
+test('the sent reminder only counts for the current expiry date', () => {
+    assert.equal(parseReminderSent('2027-12-31:30', '2027-12-31'), 30);
+    assert.equal(parseReminderSent('2026-12-31:7', '2027-12-31'), null);
+    assert.equal(parseReminderSent('2027-12-31:', '2027-12-31'), null);
+    assert.equal(parseReminderSent('', '2027-12-31'), null);
+    assert.equal(parseReminderSent(null, '2027-12-31'), null);
+});
+
+test('a permit writes its expiry date as YYYY-MM-DD', () => {
+    assert.deepEqual(buildPermitProperties('swiss_permit', { workPermitDate: '31.12.2027' }), { permit_expiry_date: '2027-12-31' });
+    assert.deepEqual(buildPermitProperties('swiss_permit', { workPermitDate: null }), {});
+    assert.deepEqual(buildPermitProperties('passport', { expiryDate: '31.12.2030' }), {});
+});
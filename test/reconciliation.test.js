@@ -0,0 +1,67 @@
+// test/reconciliation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareWithContact } from '../services/reconciliation.js';
+
+const CONTACT = {
+    firstName: 'Anna',
+    lastName: 'Muster',
+    dateOfBirth: '1990-04-12',
+    address: 'Bahnhofstrasse 12',
+    zip: '8001',
+    city: 'Zürich'
+};
+
+const nameResult = (extracted, crm) => compareWithContact(extracted, crm).checks.name;
+
+test('names match regardless of case, word order, middle names and accents', () => {
+    assert.equal(nameResult({ firstName: 'Anna Maria', lastName: 'MUSTER' }, CONTACT).score, 1);
+    assert.equal(nameResult({ firstName: 'Muster', lastName: 'Anna' }, CONTACT).score, 1);
+    assert.equal(nameResult({ firstName: 'Zoë', lastName: 'Dupré' }, { firstName: 'Zoe', lastName: 'Dupre' }).score, 1);
+});
+
+test('umlauts match their ae/oe/ue spellings', () => {
+    assert.equal(nameResult({ firstName: 'Jürg', lastName: 'Müller' }, { firstName: 'Juerg', lastName: 'Mueller' }).score, 1);
+    assert.equal(nameResult({ firstName: 'Hans', lastName: 'Weiß' }, { firstName: 'Hans', lastName: 'Weiss' }).score, 1);
+});
+
+test('names are rated match, partial or mismatch by similarity', () => {
+    assert.equal(nameResult({ firstName: 'Anna', lastName: 'Mustr' }, CONTACT).result, 'match');
+    assert.equal(nameResult({ firstName: 'Anna', lastName: 'Meier' }, CONTACT).result, 'partial');
+    assert.equal(nameResult({ firstName: 'Peter', lastName: 'Keller' }, CONTACT).result, 'mismatch');
+    assert.equal(nameResult({ firstName: null, lastName: null }, CONTACT).result, 'missing');
+});
+
+test('dates of birth match exactly across DD.MM.YYYY, ISO and epoch milliseconds', () => {
+    const dateOfBirth = (extracted, crm) => compareWithContact({ dateOfBirth: extracted }, { dateOfBirth: crm }).checks.dateOfBirth;
+
+    assert.deepEqual(dateOfBirth('12.04.1990', '1990-04-12'), { result: 'match', score: 1, extracted: '12.04.1990', crm: '12.04.1990' });
+    assert.equal(dateOfBirth('12.04.1990', '639878400000').result, 'match');
+    assert.equal(dateOfBirth('12.04.1990', '1990-04-12T00:00:00.000Z').result, 'match');
+    assert.equal(dateOfBirth('12.04.1990', '1990-04-13').result, 'mismatch');
+    assert.equal(dateOfBirth('04.12.1990', '1990-04-12').result, 'mismatch');
+    assert.equal(dateOfBirth('12.04.1990', null).result, 'missing');
+    assert.equal(dateOfBirth('31.02.1990', '1990-02-28').result, 'missing');
+});
+
+test('addresses compare street abbreviations and postal codes', () => {
+    const address = (streetAddress) => compareWithContact({ streetAddress }, CONTACT).checks.address;
+
+    assert.equal(address('Bahnhofstr. 12, 8001 Zürich').result, 'match');
+    assert.equal(address('Bahnhofstr. 12, 8002 Zürich').score, 0);
+});
+
+test('the status only says different person when nothing confirms the identity', () => {
+    const status = (extracted) => compareWithContact(extracted, CONTACT).status;
+
+    assert.equal(status({ firstName: 'Anna', lastName: 'Muster', dateOfBirth: '12.04.1990', streetAddress: 'Bahnhofstr. 12, 8001 Zürich' }), 'match');
+    // A married name with the same birth date is the same person with a changed name
+    assert.equal(status({ firstName: 'Anna', lastName: 'Keller', dateOfBirth: '12.04.1990' }), 'mismatch');
+    assert.equal(status({ firstName: 'Anna', lastName: 'Muster', dateOfBirth: '13.04.1990' }), 'mismatch');
+    assert.equal(status({ firstName: 'Peter', lastName: 'Keller' }), 'different_person');
+    assert.equal(status({ firstName: 'Peter', lastName: 'Keller', dateOfBirth: '01.01.1985' }), 'different_person');
+    assert.equal(status({ firstName: 'Anna', lastName: 'Meier', dateOfBirth: '01.01.1985' }), 'different_person');
+    // A move is reported, never a different person
+    assert.equal(status({ firstName: 'Anna', lastName: 'Muster', dateOfBirth: '12.04.1990', streetAddress: 'Seestrasse 5, 3000 Bern' }), 'mismatch');
+    assert.equal(status({}), 'unverifiable');
+});
@@ -0,0 +1,95 @@
+// test/validation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDate, normalizePermitType, validateExtractedData } from '../services/validation.js';
+import { toAlpha2 } from '../utils/countries.js';
+
+test('dates come out as DD.MM.YYYY from day-first and ISO input', () => {
+    assert.equal(normalizeDate('12.04.1990'), '12.04.1990');
+    assert.equal(normalizeDate('1.4.1990'), '01.04.1990');
+    assert.equal(normalizeDate('12/04/1990'), '12.04.1990');
+    assert.equal(normalizeDate('12-04-1990'), '12.04.1990');
+    assert.equal(normalizeDate('1990-04-12'), '12.04.1990');
+    assert.equal(normalizeDate('29.02.2024'), '29.02.2024');
+});
+
+test('dates that do not exist or lack a four-digit year are invalid', () => {
+    assert.equal(normalizeDate('31.02.2020'), null);
+    assert.equal(normalizeDate('29.02.2023'), null);
+    assert.equal(normalizeDate('31.04.2020'), null);
+    assert.equal(normalizeDate('00.01.2020'), null);
+    assert.equal(normalizeDate('12.13.2020'), null);
+    assert.equal(normalizeDate('12.04.90'), null);
+    assert.equal(normalizeDate('1990-4-12'), null);
+    assert.equal(normalizeDate('April 12, 1990'), null);
+});
+
+test('countries come out as ISO alpha-2 codes', () => {
+    assert.equal(toAlpha2('de'), 'DE');
+    assert.equal(toAlpha2('DEU'), 'DE');
+    assert.equal(toAlpha2('D'), 'DE');
+    assert.equal(toAlpha2('Schweiz'), 'CH');
+    assert.equal(toAlpha2('Suisse'), 'CH');
+    assert.equal(toAlpha2('Deutsche'), 'DE');
+    assert.equal(toAlpha2('italienisch'), 'IT');
+    assert.equal(toAlpha2('portugiesische'), 'PT');
+    assert.equal(toAlpha2('Kosovo'), 'XK');
+    assert.equal(toAlpha2('XX'), null);
+    assert.equal(toAlpha2('Atlantis'), null);
+    assert.equal(toAlpha2(''), null);
+});
+
+test('permit categories are normalized from letters and permit names', () => {
+    assert.equal(normalizePermitType('B'), 'B');
+    assert.equal(normalizePermitType('ci'), 'Ci');
+    assert.equal(normalizePermitType('Ausweis C'), 'C');
+    assert.equal(normalizePermitType('Permis B UE/AELE'), 'B');
+    assert.equal(normalizePermitType('Aufenthaltsbewilligung'), 'B');
+    assert.equal(normalizePermitType('Niederlassungsbewilligung'), 'C');
+    assert.equal(normalizePermitType('Kurzaufenthaltsbewilligung'), 'L');
+    assert.equal(normalizePermitType('Grenzgängerbewilligung'), 'G');
+    assert.equal(normalizePermitType("l'autorisation de séjour"), 'B');
+    assert.equal(normalizePermitType('Permesso di dimora'), 'B');
+});
+
+test('unknown or ambiguous permit categories are invalid', () => {
+    assert.equal(normalizePermitType('X'), null);
+    assert.equal(normalizePermitType('B or C'), null);
+    assert.equal(normalizePermitType('Visum'), null);
+});
+
+test('extracted data keeps the schema fields, normalized, and reports the invalid ones', () => {
+    const { data, validationErrors, droppedKeys } = validateExtractedData('swiss_permit', {
+        firstName: ' Anna ',
+        lastName: 'Muster',
+        streetAddress: '',
+        dateOfBirth: '1990-04-12',
+        nationality: 'Deutschland',
+        workPermitDate: '31.02.2027',
+        workPermitType: 'Ausweis B',
+        ahvNumber: '756.1234.5678.97'
+    });
+
+    assert.deepEqual(data, {
+        firstName: 'Anna',
+        lastName: 'Muster',
+        streetAddress: null,
+        dateOfBirth: '12.04.1990',
+        nationality: 'DE',
+        workPermitDate: null,
+        workPermitType: 'B'
+    });
+    assert.deepEqual(validationErrors, [{
+        field: 'workPermitDate',
+        value: '31.02.2027',
+        code: 'invalid_date',
+        message: 'workPermitDate must be a valid date in DD.MM.YYYY format'
+    }]);
+    assert.deepEqual(droppedKeys, ['ahvNumber']);
+});
+
+test('extracted data that is not an object is reported as a whole', () => {
+    const { data, validationErrors } = validateExtractedData('swiss_permit', ['Anna']);
+    assert.ok(Object.values(data).every(value => value === null));
+    assert.equal(validationErrors[0].code, 'invalid_type');
+});
@@ -0,0 +1,125 @@
+// test/zip.test.js
+// Reads the archives back with a small reader written from PKWARE's APPNOTE (EOCD, central
+// directory, local headers, traditional encryption) instead of trusting the writer's own code
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { crc32, createZip } from '../utils/zip.js';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const decrypt = (data, password) => {
+    const keys = [0x12345678, 0x23456789, 0x34567890];
+    const update = (byte) => {
+        keys[0] = (CRC_TABLE[(keys[0] ^ byte) & 0xff] ^ (keys[0] >>> 8)) >>> 0;
+        keys[1] = (Math.imul((keys[1] + (keys[0] & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+        keys[2] = (CRC_TABLE[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8)) >>> 0;
+    };
+    for (const byte of Buffer.from(password, 'utf8')) update(byte);
+
+    return Buffer.from(data.map(byte => {
+        const temp = (keys[2] | 2) & 0xffff;
+        const plain = byte ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+        update(plain);
+        return plain;
+    }));
+};
+
+const readZip = (archive, password = null) => {
+    const end = archive.length - 22;
+    assert.equal(archive.readUInt32LE(end), 0x06054b50, 'end of central directory signature');
+    const count = archive.readUInt16LE(end + 10);
+    const directorySize = archive.readUInt32LE(end + 12);
+    const directoryOffset = archive.readUInt32LE(end + 16);
+    assert.equal(archive.readUInt16LE(end + 8), count);
+    assert.equal(directoryOffset + directorySize, end, 'central directory ends where the EOCD starts');
+
+    const entries = [];
+    let position = directoryOffset;
+    for (let index = 0; index < count; index++) {
+        assert.equal(archive.readUInt32LE(position), 0x02014b50, 'central directory header signature');
+        const flags = archive.readUInt16LE(position + 8);
+        const method = archive.readUInt16LE(position + 10);
+        const crc = archive.readUInt32LE(position + 16);
+        const compressedSize = archive.readUInt32LE(position + 20);
+        const size = archive.readUInt32LE(position + 24);
+        const nameLength = archive.readUInt16LE(position + 28);
+        const localOffset = archive.readUInt32LE(position + 42);
+        const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+        position += 46 + nameLength + archive.readUInt16LE(position + 30) + archive.readUInt16LE(position + 32);
+
+        assert.equal(archive.readUInt32LE(localOffset), 0x04034b50, 'local header signature');
+        assert.equal(archive.readUInt16LE(localOffset + 6), flags);
+        assert.equal(archive.readUInt32LE(localOffset + 14), crc);
+        assert.equal(archive.readUInt32LE(localOffset + 18), compressedSize);
+        const localNameLength = archive.readUInt16LE(localOffset + 26);
+        assert.equal(archive.toString('utf8', localOffset + 30, localOffset + 30 + localNameLength), name);
+        const dataStart = localOffset + 30 + localNameLength + archive.readUInt16LE(localOffset + 28);
+
+        let body = archive.subarray(dataStart, dataStart + compressedSize);
+        if (flags & 0x1) {
+            body = decrypt(body, password);
+            assert.equal(body[11], crc >>> 24, 'password check byte');
+            body = body.subarray(12);
+        }
+        const data = method === 8 ? zlib.inflateRawSync(body) : body;
+        assert.equal(data.length, size);
+        assert.equal(zlib.crc32(data), crc, `CRC-32 of ${name}`);
+        entries.push({ name, data, flags, method });
+    }
+    assert.equal(position, end);
+    return entries;
+};
+
+const FILES = [
+    { name: 'permit.txt', data: Buffer.from('Aufenthaltsbewilligung B\n'.repeat(200)) },
+    { name: 'scan.jpg', data: crypto.randomBytes(4096) },
+    { name: 'Bestätigung.pdf', data: Buffer.from('%PDF-1.4 Bestätigung') }
+];
+
+test('crc32 matches the standard check value and zlib', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    const data = crypto.randomBytes(1000);
+    assert.equal(crc32(data), zlib.crc32(data));
+});
+
+test('an archive reads back with its entries, sizes and CRCs', () => {
+    const entries = readZip(createZip(FILES));
+
+    assert.deepEqual(entries.map(entry => entry.name), FILES.map(file => file.name));
+    entries.forEach((entry, index) => assert.deepEqual(entry.data, FILES[index].data));
+    // Text deflates; random bytes are stored as they are
+    assert.deepEqual(entries.map(entry => entry.method), [8, 0, 0]);
+    assert.ok(entries.every(entry => entry.flags === 0x800));
+});
+
+test('a password encrypts every entry with the traditional ZIP encryption', () => {
+    const archive = createZip(FILES, { password: 'geheim' });
+    assert.equal(archive.includes(Buffer.from('%PDF-1.4')), false);
+
+    const entries = readZip(archive, 'geheim');
+    assert.ok(entries.every(entry => entry.flags === 0x801));
+    entries.forEach((entry, index) => assert.deepEqual(entry.data, FILES[index].data));
+
+    assert.throws(() => readZip(archive, 'falsch'));
+});
+
+test('duplicate names get a number before the extension', () => {
+    const entries = readZip(createZip([
+        { name: 'scan.pdf', data: Buffer.from('1') },
+        { name: 'SCAN.pdf', data: Buffer.from('2') },
+        { name: 'scan.pdf', data: Buffer.from('3') }
+    ]));
+    assert.deepEqual(entries.map(entry => entry.name), ['scan.pdf', 'SCAN (2).pdf', 'scan (3).pdf']);
+});
+
+test('an empty archive is just the end of central directory record', () => {
+    const archive = createZip([]);
+    assert.equal(archive.length, 22);
+    assert.deepEqual(readZip(archive), []);
+});
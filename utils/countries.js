@@ -0,0 +1,122 @@
+// utils/countries.js
+// ISO 3166-1 lookups used to normalize nationalities to alpha-2 codes.
+
+const ALPHA3_TO_ALPHA2 = Object.fromEntries(`
+AFG:AF ALA:AX ALB:AL DZA:DZ ASM:AS AND:AD AGO:AO AIA:AI ATA:AQ ATG:AG ARG:AR ARM:AM ABW:AW AUS:AU
+AUT:AT AZE:AZ BHS:BS BHR:BH BGD:BD BRB:BB BLR:BY BEL:BE BLZ:BZ BEN:BJ BMU:BM BTN:BT BOL:BO BES:BQ
+BIH:BA BWA:BW BVT:BV BRA:BR IOT:IO BRN:BN BGR:BG BFA:BF BDI:BI CPV:CV KHM:KH CMR:CM CAN:CA CYM:KY
+CAF:CF TCD:TD CHL:CL CHN:CN CXR:CX CCK:CC COL:CO COM:KM COG:CG COD:CD COK:CK CRI:CR CIV:CI HRV:HR
+CUB:CU CUW:CW CYP:CY CZE:CZ DNK:DK DJI:DJ DMA:DM DOM:DO ECU:EC EGY:EG SLV:SV GNQ:GQ ERI:ER EST:EE
+SWZ:SZ ETH:ET FLK:FK FRO:FO FJI:FJ FIN:FI FRA:FR GUF:GF PYF:PF ATF:TF GAB:GA GMB:GM GEO:GE DEU:DE
+GHA:GH GIB:GI GRC:GR GRL:GL GRD:GD GLP:GP GUM:GU GTM:GT GGY:GG GIN:GN GNB:GW GUY:GY HTI:HT HMD:HM
+VAT:VA HND:HN HKG:HK HUN:HU ISL:IS IND:IN IDN:ID IRN:IR IRQ:IQ IRL:IE IMN:IM ISR:IL ITA:IT JAM:JM
+JPN:JP JEY:JE JOR:JO KAZ:KZ KEN:KE KIR:KI PRK:KP KOR:KR KWT:KW KGZ:KG LAO:LA LVA:LV LBN:LB LSO:LS
+LBR:LR LBY:LY LIE:LI LTU:LT LUX:LU MAC:MO MDG:MG MWI:MW MYS:MY MDV:MV MLI:ML MLT:MT MHL:MH MTQ:MQ
+MRT:MR MUS:MU MYT:YT MEX:MX FSM:FM MDA:MD MCO:MC MNG:MN MNE:ME MSR:MS MAR:MA MOZ:MZ MMR:MM NAM:NA
+NRU:NR NPL:NP NLD:NL NCL:NC NZL:NZ NIC:NI NER:NE NGA:NG NIU:NU NFK:NF MKD:MK MNP:MP NOR:NO OMN:OM
+PAK:PK PLW:PW PSE:PS PAN:PA PNG:PG PRY:PY PER:PE PHL:PH PCN:PN POL:PL PRT:PT PRI:PR QAT:QA REU:RE
+ROU:RO RUS:RU RWA:RW BLM:BL SHN:SH KNA:KN LCA:LC MAF:MF SPM:PM VCT:VC WSM:WS SMR:SM STP:ST SAU:SA
+SEN:SN SRB:RS SYC:SC SLE:SL SGP:SG SXM:SX SVK:SK SVN:SI SLB:SB SOM:SO ZAF:ZA SGS:GS SSD:SS ESP:ES
+LKA:LK SDN:SD SUR:SR SJM:SJ SWE:SE CHE:CH SYR:SY TWN:TW TJK:TJ TZA:TZ THA:TH TLS:TL TGO:TG TKL:TK
+TON:TO TTO:TT TUN:TN TUR:TR TKM:TM TCA:TC TUV:TV UGA:UG UKR:UA ARE:AE GBR:GB USA:US UMI:UM URY:UY
+UZB:UZ VUT:VU VEN:VE VNM:VN VGB:VG VIR:VI WLF:WF ESH:EH YEM:YE ZMB:ZM ZWE:ZW
+XKX:XK RKS:XK D:DE GBD:GB GBN:GB GBO:GB GBP:GB GBS:GB
+`.trim().split(/\s+/).map(pair => pair.split(':')));
+
+const ALPHA2_CODES = new Set(Object.values(ALPHA3_TO_ALPHA2));
+
+// Nationality adjectives the model tends to return (en/de/fr/it base forms)
+const DEMONYMS = {
+    swiss: 'CH', schweizer: 'CH', schweizerisch: 'CH', suisse: 'CH', svizzero: 'CH',
+    german: 'DE', deutsch: 'DE', allemand: 'DE', tedesco: 'DE',
+    italian: 'IT', italienisch: 'IT', italiener: 'IT', italien: 'IT', italiano: 'IT',
+    french: 'FR', franzosisch: 'FR', franzose: 'FR', francais: 'FR', francese: 'FR',
+    portuguese: 'PT', portugiesisch: 'PT', portugiese: 'PT', portugais: 'PT', portoghese: 'PT',
+    spanish: 'ES', spanisch: 'ES', spanier: 'ES', espagnol: 'ES', spagnolo: 'ES',
+    austrian: 'AT', osterreichisch: 'AT', osterreicher: 'AT', autrichien: 'AT', austriaco: 'AT',
+    british: 'GB', britisch: 'GB', britannique: 'GB', britannico: 'GB',
+    kosovar: 'XK', kosovarisch: 'XK', kosovare: 'XK',
+    serbian: 'RS', serbisch: 'RS', serbe: 'RS', serbo: 'RS',
+    croatian: 'HR', kroatisch: 'HR', croate: 'HR', croato: 'HR',
+    bosnian: 'BA', bosnisch: 'BA', bosnien: 'BA', bosniaco: 'BA',
+    macedonian: 'MK', mazedonisch: 'MK', nordmazedonisch: 'MK', macedonien: 'MK', macedone: 'MK',
+    albanian: 'AL', albanisch: 'AL', albanais: 'AL', albanese: 'AL',
+    turkish: 'TR', turkisch: 'TR', turc: 'TR', turco: 'TR',
+    polish: 'PL', polnisch: 'PL', polonais: 'PL', polacco: 'PL',
+    romanian: 'RO', rumanisch: 'RO', roumain: 'RO', rumeno: 'RO',
+    hungarian: 'HU', ungarisch: 'HU', hongrois: 'HU', ungherese: 'HU',
+    dutch: 'NL', niederlandisch: 'NL', neerlandais: 'NL', olandese: 'NL',
+    belgian: 'BE', belgisch: 'BE', belge: 'BE',
+    ukrainian: 'UA', ukrainisch: 'UA', ukrainien: 'UA', ucraino: 'UA',
+    russian: 'RU', russisch: 'RU', russe: 'RU', russo: 'RU',
+    eritrean: 'ER', eritreisch: 'ER', erythreen: 'ER', eritreo: 'ER',
+    afghan: 'AF', afghanisch: 'AF', afgano: 'AF',
+    syrian: 'SY', syrisch: 'SY', syrien: 'SY', siriano: 'SY',
+    'sri lankan': 'LK', srilankisch: 'LK', 'sri lankais': 'LK', singalese: 'LK',
+    indian: 'IN', indisch: 'IN', indien: 'IN', indiano: 'IN',
+    chinese: 'CN', chinesisch: 'CN', chinois: 'CN', cinese: 'CN',
+    american: 'US', amerikanisch: 'US', americain: 'US', americano: 'US',
+    brazilian: 'BR', brasilianisch: 'BR', bresilien: 'BR', brasiliano: 'BR',
+    greek: 'GR', griechisch: 'GR', grec: 'GR', greco: 'GR',
+    slovak: 'SK', slowakisch: 'SK', slovaque: 'SK', slovacco: 'SK',
+    slovenian: 'SI', slowenisch: 'SI', slovene: 'SI', sloveno: 'SI',
+    czech: 'CZ', tschechisch: 'CZ', tcheque: 'CZ', ceco: 'CZ',
+    bulgarian: 'BG', bulgarisch: 'BG', bulgare: 'BG', bulgaro: 'BG',
+    irish: 'IE', irisch: 'IE', irlandais: 'IE', irlandese: 'IE',
+    swedish: 'SE', schwedisch: 'SE', suedois: 'SE', svedese: 'SE',
+    liechtensteiner: 'LI', liechtensteinisch: 'LI',
+    moroccan: 'MA', marokkanisch: 'MA', marocain: 'MA', marocchino: 'MA',
+    tunisian: 'TN', tunesisch: 'TN', tunisien: 'TN', tunisino: 'TN'
+};
+
+const stripAccents = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const simplify = (value) => stripAccents(value).toLowerCase().replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Country names in the languages our documents use, built from ICU data
+const COUNTRY_NAMES = (() => {
+    const names = {};
+    for (const locale of ['en', 'de', 'fr', 'it']) {
+        const displayNames = new Intl.DisplayNames([locale], { type: 'region', fallback: 'none' });
+        for (const code of ALPHA2_CODES) {
+            const name = displayNames.of(code);
+            if (name) names[simplify(name)] = code;
+        }
+    }
+    return names;
+})();
+
+// Feminine/inflected adjective forms reduced to the base forms listed in DEMONYMS
+const demonymCandidates = (value) => [
+    value,
+    value.replace(/e$/, ''),
+    value.replace(/ne$/, ''),
+    value.replace(/in$/, ''),
+    value.replace(/(er|es|en|em)$/, ''),
+    value.replace(/a$/, 'o'),
+    value.replace(/ische?[nrs]?$/, 'isch')
+];
+
+export const toAlpha2 = (value) => {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const trimmed = value.trim();
+    const upper = trimmed.toUpperCase();
+
+    if (upper.length === 2 && ALPHA2_CODES.has(upper)) return upper;
+    if (ALPHA3_TO_ALPHA2[upper]) return ALPHA3_TO_ALPHA2[upper];
+
+    const simplified = simplify(trimmed);
+    if (COUNTRY_NAMES[simplified]) return COUNTRY_NAMES[simplified];
+
+    for (const candidate of demonymCandidates(simplified)) {
+        if (DEMONYMS[candidate]) return DEMONYMS[candidate];
+    }
+    return null;
+};
+
+export const isAlpha2 = (value) => ALPHA2_CODES.has(value);
+
+export default {
+    toAlpha2,
+    isAlpha2
+};
@@ -0,0 +1,86 @@
+// utils/fileStore.js
+import fs from "fs";
+import path from "path";
+import config from "../config/index.js";
+
+const fsAsync = fs.promises;
+
+// A lock file older than this belongs to a process that died mid-update
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cross-process lock: whoever creates the lock file exclusively may update the store
+const acquireLock = async (lockPath) => {
+  for (;;) {
+    try {
+      await (await fsAsync.open(lockPath, "wx")).close();
+      return;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    const stats = await fsAsync.stat(lockPath).catch(() => null);
+    if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+      console.warn(`⚠️ Removing stale lock ${lockPath}`);
+      await fsAsync.rm(lockPath, { force: true });
+    } else {
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+};
+
+// JSON document persisted under STORAGE_CONFIG.dataDir. Every read and update loads the
+// file again, so other processes sharing DATA_DIR are seen; updates hold a lock file
+// for the read-modify-write and write through a temp file + rename, so a crash never
+// leaves a half-written store behind.
+export const createFileStore = (name, defaults = {}) => {
+  const filePath = path.join(config.STORAGE_CONFIG.dataDir, `${name}.json`);
+  const lockPath = `${filePath}.lock`;
+  let pending = Promise.resolve();
+
+  const load = async () => {
+    try {
+      return JSON.parse(await fsAsync.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(`Failed to read store ${filePath}: ${error.message}`);
+      }
+      return structuredClone(defaults);
+    }
+  };
+
+  const persist = async (data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fsAsync.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fsAsync.rename(tempPath, filePath);
+  };
+
+  // Mutations run one at a time in this process (and under the lock file across
+  // processes) so concurrent callers never overwrite each other
+  const update = (mutator) => {
+    const run = pending.then(async () => {
+      await fsAsync.mkdir(path.dirname(filePath), { recursive: true });
+      await acquireLock(lockPath);
+      try {
+        const data = await load();
+        const result = await mutator(data);
+        await persist(data);
+        return result;
+      } finally {
+        await fsAsync.rm(lockPath, { force: true });
+      }
+    });
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  const read = () => load();
+
+  return { filePath, read, update };
+};
+
+export default {
+  createFileStore
+};
@@ -8,6 +8,8 @@ import { existsSync, mkdirSync } from 'fs';
 // Use fs.promises for async file operations
 const fsAsync = fs.promises;
 
+const DOWNLOAD_PREFIX = 'hubspot_file_';
+
 export const downloadAndSaveFile = async (signedUrl, fileId) => {
   const response = await fetch(signedUrl);
   if (!response.ok) {
@@ -37,7 +39,7 @@ export const downloadAndSaveFile = async (signedUrl, fileId) => {
     console.warn(`Could not parse URL for file extension, using default: ${error.message}`);
   }
 
-  const tempFilePath = path.join(tempDir, `hubspot_file_${fileId}_${Date.now()}${fileExtension}`);
+  const tempFilePath = path.join(tempDir, `${DOWNLOAD_PREFIX}${fileId}_${Date.now()}${fileExtension}`);
 
   try {
     await fsAsync.writeFile(tempFilePath, buffer);
@@ -48,6 +50,14 @@ export const downloadAndSaveFile = async (signedUrl, fileId) => {
   }
 };
 
+// A file downloadAndSaveFile wrote: directly in the OS temp dir, never another file on the
+// instance (e.g. the stores in DATA_DIR), however the path is spelled
+export const isDownloadedFile = (filePath) => {
+  if (typeof filePath !== 'string') return false;
+  const resolved = path.resolve(filePath);
+  return path.dirname(resolved) === path.resolve(tmpdir()) && path.basename(resolved).startsWith(DOWNLOAD_PREFIX);
+};
+
 export const cleanupTempFiles = async (filePaths) => {
   const cleanupPromises = filePaths.map(async (filePath) => {
     try {
@@ -81,6 +91,26 @@ export const downloadFile = async (url, outputPath) => {
   fs.writeFileSync(outputPath, response.data);
 };
 
+export const downloadBuffer = async (url) => {
+  const response = await axios.get(url, { responseType: "arraybuffer", timeout: 30000 });
+  return Buffer.from(response.data);
+};
+
+// Renders the first maxPages pages of a PDF to PNG buffers; pdf-to-img is only loaded when needed
+export const renderPdfPages = async (buffer, { scale = 2, maxPages = Infinity } = {}) => {
+  const { pdf } = await import("pdf-to-img");
+  const pdfDocument = await pdf(buffer, { scale });
+  try {
+    const images = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdfDocument.length, maxPages); pageNumber++) {
+      images.push(await pdfDocument.getPage(pageNumber));
+    }
+    return images;
+  } finally {
+    await pdfDocument.destroy();
+  }
+};
+
 export const getFileType = (url) => {
   try {
     const ext = path.extname(new URL(url).pathname).toLowerCase();
@@ -106,26 +136,74 @@ export const cleanupFile = async (filePath) => {
   }
 };
 
+// Format: "fileId,objectTypeId,recordId" with optional fourth "docType" and fifth
+// "backend" (one of ANALYSIS_BACKEND/ANALYSIS_FALLBACKS) parts; leave docType empty
+// to classify, e.g. "111,0-1,123,,mrz".
+// Several files of one document (front/back, extra pages) go in the first part
+// separated by "|", e.g. "111|222,0-1,123,swiss_permit".
 export const parseFileRecordString = (inputString) => {
   try {
     const parts = inputString.split(',');
-    if (parts.length !== 3) throw new Error('Invalid input format');
-    const [fileId, objectTypeId, recordId] = parts.map(part => part.trim());
-    if (!fileId || !objectTypeId || !recordId) throw new Error('All parts must be non-empty');
-    return { fileId, objectTypeId, recordId };
+    if (parts.length < 3 || parts.length > 5) throw new Error('Invalid input format');
+    const [fileIdPart, objectTypeId, recordId, docType, backend] = parts.map(part => part.trim());
+    const fileIds = fileIdPart.split('|').map(id => id.trim());
+    if (fileIds.some(id => !id) || !objectTypeId || !recordId) throw new Error('All parts must be non-empty');
+    return { fileId: fileIds[0], fileIds, objectTypeId, recordId, docType: docType || null, backend: backend || null };
   } catch (error) {
     console.error('Error parsing file record string:', error);
     throw new Error(`Invalid file record format: ${error.message}`);
   }
 };
 
+// For values put into HTML bodies (emails, HubSpot notes)
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Keeps the first item per key; items without a key are always kept
+export const uniqueBy = (items, getKey) => {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = getKey(item);
+    if (key === undefined || key === null) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Like Promise.all(items.map(fn)) but runs at most `limit` calls at once
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
 export default {
   cleanJSONResponse,
   downloadFile,
+  downloadBuffer,
+  renderPdfPages,
   downloadAndSaveFile,
+  isDownloadedFile,
   getFileType,
   generateTempPath,
   cleanupFile,
   cleanupTempFiles,
-  parseFileRecordString
+  parseFileRecordString,
+  escapeHtml,
+  uniqueBy,
+  mapWithConcurrency
 };
\ No newline at end of file
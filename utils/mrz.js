@@ -0,0 +1,140 @@
+// utils/mrz.js
+// Machine-readable zone parsing (ICAO 9303 TD1/TD2/TD3) with check-digit verification.
+
+const FORMATS = {
+  TD1: { lines: 3, length: 30 },
+  TD2: { lines: 2, length: 36 },
+  TD3: { lines: 2, length: 44 }
+};
+
+// Characters OCR commonly confuses with digits; only applied to numeric fields
+const DIGIT_FIXES = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', B: '8', G: '6' };
+
+const LETTER_FIXES = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 6: 'G', 8: 'B' };
+
+const toDigits = (value) => value.replace(/[A-Z]/g, char => DIGIT_FIXES[char] ?? char);
+
+// Country codes and names never contain digits
+const toLetters = (value) => value.replace(/[0-9]/g, char => LETTER_FIXES[char] ?? char);
+
+const charValue = (char) => {
+  if (char === '<') return 0;
+  if (/[0-9]/.test(char)) return Number(char);
+  return char.charCodeAt(0) - 55; // A = 10 ... Z = 35
+};
+
+export const computeCheckDigit = (value) =>
+  String([...value].reduce((sum, char, index) => sum + charValue(char) * [7, 3, 1][index % 3], 0) % 10);
+
+const verify = (value, checkDigit) => computeCheckDigit(value) === toDigits(checkDigit).replace('<', '0');
+
+const clean = (value) => value.replace(/<+$/, '').replace(/</g, ' ').trim();
+
+const parseNames = (value) => {
+  const [surname = '', givenNames = ''] = toLetters(value).split('<<');
+  return { lastName: clean(surname), firstName: clean(givenNames.replace(/<<+/g, '<')) };
+};
+
+// YYMMDD -> DD.MM.YYYY; birth dates in the future belong to the previous century
+const parseDate = (value, kind) => {
+  const digits = toDigits(value);
+  if (!/^\d{6}$/.test(digits)) return null;
+  const [yy, mm, dd] = [digits.slice(0, 2), digits.slice(2, 4), digits.slice(4, 6)];
+  const currentYY = new Date().getFullYear() % 100;
+  const century = kind === 'birth' && Number(yy) > currentYY ? '19' : '20';
+  return `${dd}.${mm}.${century}${yy}`;
+};
+
+const parseTD1 = ([line1, line2, line3]) => {
+  let documentNumber = line1.slice(5, 14);
+  let documentNumberCheck = line1[14];
+  // Numbers longer than 9 characters continue in the optional data, followed by their check digit
+  if (documentNumberCheck === '<') {
+    const overflow = line1.slice(15, 30).replace(/<+$/, '');
+    documentNumber += overflow.slice(0, -1);
+    documentNumberCheck = overflow.slice(-1);
+  }
+
+  return {
+    format: 'TD1',
+    documentCode: clean(line1.slice(0, 2)),
+    issuingCountry: clean(toLetters(line1.slice(2, 5))),
+    documentNumber: clean(documentNumber),
+    optionalData: clean(line1.slice(15, 30)),
+    birthDate: parseDate(line2.slice(0, 6), 'birth'),
+    sex: clean(line2[7]),
+    expiryDate: parseDate(line2.slice(8, 14), 'expiry'),
+    nationality: clean(toLetters(line2.slice(15, 18))),
+    ...parseNames(line3),
+    checks: {
+      documentNumber: verify(documentNumber, documentNumberCheck),
+      birthDate: verify(toDigits(line2.slice(0, 6)), line2[6]),
+      expiryDate: verify(toDigits(line2.slice(8, 14)), line2[14]),
+      composite: verify(line1.slice(5, 30) + toDigits(line2.slice(0, 7)) + toDigits(line2.slice(8, 15)) + line2.slice(18, 29), line2[29])
+    }
+  };
+};
+
+const parseTwoLine = (format, [line1, line2]) => {
+  const optionalEnd = format === 'TD3' ? 42 : 35;
+  const compositeEnd = format === 'TD3' ? 43 : 35;
+
+  return {
+    format,
+    documentCode: clean(line1.slice(0, 2)),
+    issuingCountry: clean(toLetters(line1.slice(2, 5))),
+    ...parseNames(line1.slice(5)),
+    documentNumber: clean(line2.slice(0, 9)),
+    nationality: clean(toLetters(line2.slice(10, 13))),
+    birthDate: parseDate(line2.slice(13, 19), 'birth'),
+    sex: clean(line2[20]),
+    expiryDate: parseDate(line2.slice(21, 27), 'expiry'),
+    optionalData: clean(line2.slice(28, optionalEnd)),
+    checks: {
+      documentNumber: verify(line2.slice(0, 9), line2[9]),
+      birthDate: verify(toDigits(line2.slice(13, 19)), line2[19]),
+      expiryDate: verify(toDigits(line2.slice(21, 27)), line2[27]),
+      composite: verify(
+        line2.slice(0, 10) + toDigits(line2.slice(13, 20)) + toDigits(line2.slice(21, 28)) + line2.slice(28, compositeEnd),
+        line2[compositeEnd]
+      )
+    }
+  };
+};
+
+// OCR tends to read long filler runs as "<<LK<IKLK..."; when that makes a line too long to
+// fit, the run is collapsed back to fillers. Returns the line at its exact length or null.
+const fitLine = (line, length) => {
+  if (Math.abs(line.length - length) <= 2) return line.padEnd(length, '<').slice(0, length);
+  if (line.length < length) return null;
+  const collapsed = line.replace(/<<[<KLI]*$/, '<<');
+  return collapsed.length <= length ? collapsed.padEnd(length, '<') : null;
+};
+
+// Pulls MRZ lines out of OCR text: only [A-Z0-9<], spaces removed, padded/trimmed
+// to the format's line length when OCR dropped or added a filler character
+export const findMrz = (text) => {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, '').replace(/[«‹]/g, '<').toUpperCase())
+    .filter(line => /^[A-Z0-9<]+$/.test(line) && line.includes('<'));
+
+  for (const [format, { lines: count, length }] of Object.entries(FORMATS)) {
+    for (let start = 0; start + count <= lines.length; start++) {
+      const group = lines.slice(start, start + count).map(line => fitLine(line, length));
+      if (group.every(Boolean)) return { format, lines: group };
+    }
+  }
+  return null;
+};
+
+export const parseMrz = ({ format, lines }) => {
+  const result = format === 'TD1' ? parseTD1(lines) : parseTwoLine(format, lines);
+  return { ...result, valid: Object.values(result.checks).every(Boolean) };
+};
+
+export default {
+  computeCheckDigit,
+  findMrz,
+  parseMrz
+};
@@ -0,0 +1,162 @@
+// utils/zip.js
+// Minimal ZIP writer (deflate, no ZIP64, so entries and archive stay below 4 GB).
+// With a password entries use traditional PKWARE encryption ("ZipCrypto"): it opens
+// in Windows Explorer, macOS and every unzip tool, but is weak against a determined
+// attacker - it keeps mail scanners and casual readers out, not more.
+import fs from "fs";
+import zlib from "zlib";
+import crypto from "crypto";
+
+const fsAsync = fs.promises;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32Byte = (crc, byte) => (CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0;
+
+export const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = crc32Byte(crc, byte);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// PKWARE APPNOTE 6.1: three keys updated with every plain-text byte
+const createZipCrypto = (password) => {
+  const keys = [0x12345678, 0x23456789, 0x34567890];
+  const update = (byte) => {
+    keys[0] = crc32Byte(keys[0], byte);
+    keys[1] = (Math.imul((keys[1] + (keys[0] & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+    keys[2] = crc32Byte(keys[2], keys[1] >>> 24);
+  };
+  for (const byte of Buffer.from(password, "utf8")) update(byte);
+
+  return (data) => {
+    const out = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+      const temp = (keys[2] | 2) & 0xffff;
+      out[i] = data[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+      update(data[i]);
+    }
+    return out;
+  };
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const encodeEntry = ({ name, data }, { password, modified }) => {
+  const nameBuffer = Buffer.from(name, "utf8");
+  const crc = crc32(data);
+  const deflated = zlib.deflateRawSync(data);
+  // Already compressed files (PDF, JPEG) are stored when deflate does not help
+  const method = deflated.length < data.length ? 8 : 0;
+  let body = method === 8 ? deflated : data;
+
+  if (password) {
+    // 12-byte header: random bytes, the last one is the CRC's high byte for password checks
+    const header = crypto.randomBytes(12);
+    header[11] = crc >>> 24;
+    body = createZipCrypto(password)(Buffer.concat([header, body]));
+  }
+
+  return {
+    nameBuffer,
+    crc,
+    method,
+    body,
+    size: data.length,
+    // bit 0: encrypted, bit 11: UTF-8 names
+    flags: (password ? 0x1 : 0) | 0x800,
+    ...toDosDateTime(modified)
+  };
+};
+
+const localHeader = (entry) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(entry.flags, 6);
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.body.length, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.nameBuffer.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, entry.nameBuffer]);
+};
+
+const centralHeader = (entry, offset) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(entry.flags, 8);
+  header.writeUInt16LE(entry.method, 10);
+  header.writeUInt16LE(entry.time, 12);
+  header.writeUInt16LE(entry.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.body.length, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.nameBuffer.length, 28);
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, entry.nameBuffer]);
+};
+
+// Same names get " (2)", " (3)" ... before the extension
+const uniqueNames = (names) => {
+  const used = new Set();
+  return names.map((name) => {
+    const dot = name.lastIndexOf(".");
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${extension}`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+// files: [{ name, data }] -> ZIP archive buffer
+export const createZip = (files, { password = null, modified = new Date() } = {}) => {
+  const names = uniqueNames(files.map((file) => file.name));
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach((file, index) => {
+    const entry = encodeEntry({ name: names[index], data: file.data }, { password, modified });
+    const header = localHeader(entry);
+    central.push(centralHeader(entry, offset));
+    parts.push(header, entry.body);
+    offset += header.length + entry.body.length;
+  });
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, directory, end]);
+};
+
+// files: [{ name, path }] -> writes the archive to outputPath and returns its size
+export const writeZipFile = async (outputPath, files, options = {}) => {
+  const entries = await Promise.all(files.map(async (file) => ({ name: file.name, data: await fsAsync.readFile(file.path) })));
+  const archive = createZip(entries, options);
+  await fsAsync.writeFile(outputPath, archive);
+  return archive.length;
+};
+
+export default {
+  crc32,
+  createZip,
+  writeZipFile
+};